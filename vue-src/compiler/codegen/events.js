@@ -39,7 +39,9 @@ export function genHandlers (
   native: boolean,
   warn: Function
 ): string {
-  let res = native ? 'nativeOn:{' : 'on:{'
+  const prefix = native ? 'nativeOn:' : 'on:'
+  let staticHandlers = ``
+  let dynamicHandlers = ``
   for (const name in events) {
     const handler = events[name]
     // #5330: warn click.right, since right clicks do not actually fire click events.
@@ -52,9 +54,28 @@ export function genHandlers (
         `do not actually fire "click" events.`
       )
     }
-    res += `"${name}":${genHandler(name, handler)},`
+    const handlerCode = genHandler(name, handler)
+    /*动态事件名作为表达式输出，在运行时通过_d合并*/
+    if (isDynamicHandler(handler)) {
+      dynamicHandlers += `${name},${handlerCode},`
+    } else {
+      staticHandlers += `"${name}":${handlerCode},`
+    }
+  }
+  staticHandlers = `{${staticHandlers.slice(0, -1)}}`
+  if (dynamicHandlers) {
+    return prefix + `_d(${staticHandlers},[${dynamicHandlers.slice(0, -1)}])`
+  } else {
+    return prefix + staticHandlers
   }
-  return res.slice(0, -1) + '}'
+}
+
+function isDynamicHandler (
+  handler: ASTElementHandler | Array<ASTElementHandler>
+): boolean {
+  return Array.isArray(handler)
+    ? handler.some(isDynamicHandler)
+    : !!(handler && handler.dynamic)
 }
 
 function genHandler (
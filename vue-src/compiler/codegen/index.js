@@ -3,6 +3,7 @@
 import { genHandlers } from './events'
 import { baseWarn, pluckModuleFunction } from '../helpers'
 import baseDirectives from '../directives/index'
+import { emptySlotScopeToken } from '../parser/index'
 import { camelize, no } from 'shared/util'
 
 type TransformFunction = (el: ASTElement, code: string) => string;
@@ -224,11 +225,11 @@ function genData (el: ASTElement): string {
   }
   // attributes
   if (el.attrs) {
-    data += `attrs:{${genProps(el.attrs)}},`
+    data += `attrs:${genProps(el.attrs)},`
   }
   // DOM props
   if (el.props) {
-    data += `domProps:{${genProps(el.props)}},`
+    data += `domProps:${genProps(el.props)},`
   }
   // event handlers
   if (el.events) {
@@ -325,11 +326,14 @@ function genScopedSlots (slots: { [key: string]: ASTElement }): string {
 }
 
 function genScopedSlot (key: string, el: ASTElement) {
-  return `[${key},function(${String(el.attrsMap.scope)}){` +
+  /*通过v-slot声明但没有slot props的slot，在第三项中标记为true，运行时同时会暴露在$slots上*/
+  const isProxy = el.slotScope === emptySlotScopeToken
+  const slotScope = isProxy ? '' : String(el.slotScope)
+  return `[${key},function(${slotScope}){` +
     `return ${el.tag === 'template'
       ? genChildren(el) || 'void 0'
       : genElement(el)
-  }}]`
+  }}${isProxy ? ',true' : ''}]`
 }
 
 /*处理chidren*/
@@ -418,7 +422,12 @@ function genSlot (el: ASTElement): string {
   const slotName = el.slotName || '"default"'
   const children = genChildren(el)
   let res = `_t(${slotName}${children ? `,${children}` : ''}`
-  const attrs = el.attrs && `{${el.attrs.map(a => `${camelize(a.name)}:${a.value}`).join(',')}}`
+  const attrs = el.attrs && genProps(el.attrs.map(a => ({
+    // slot props are camelized
+    name: a.dynamic ? a.name : camelize(a.name),
+    value: a.value,
+    dynamic: a.dynamic
+  })))
   const bind = el.attrsMap['v-bind']
   if ((attrs || bind) && !children) {
     res += `,null`
@@ -441,13 +450,27 @@ function genComponent (componentName: string, el: ASTElement): string {
   })`
 }
 
-function genProps (props: Array<{ name: string, value: string }>): string {
-  let res = ''
+/*
+  生成属性对象，静态属性生成对象字面量，动态参数的属性生成[key, value]数组，在运行时通过_d合并
+*/
+function genProps (props: Array<{ name: string, value: string, dynamic?: boolean }>): string {
+  let staticProps = ``
+  let dynamicProps = ``
   for (let i = 0; i < props.length; i++) {
     const prop = props[i]
-    res += `"${prop.name}":${transformSpecialNewlines(prop.value)},`
+    const value = transformSpecialNewlines(prop.value)
+    if (prop.dynamic) {
+      dynamicProps += `${prop.name},${value},`
+    } else {
+      staticProps += `"${prop.name}":${value},`
+    }
+  }
+  staticProps = `{${staticProps.slice(0, -1)}}`
+  if (dynamicProps) {
+    return `_d(${staticProps},[${dynamicProps.slice(0, -1)}])`
+  } else {
+    return staticProps
   }
-  return res.slice(0, -1)
 }
 
 // #3895, #4268
@@ -1,9 +1,23 @@
 /* @flow */
 /*Github:https://github.com/answershuto*/
-export default function bind (el: ASTElement, dir: ASTDirective) {
+/*
+  v-bind="object"，在运行时通过_b合并到VNode的data中
+  带有.sync修饰符时，会为对象中的每一个key生成更新该对象的update:key事件监听
+*/
+export default function bind (el: ASTElement, dir: ASTDirective, warn: Function) {
+  const sync = dir.modifiers && dir.modifiers.sync
+  if (process.env.NODE_ENV !== 'production' && sync && /^\s*\{/.test(dir.value)) {
+    warn(
+      `<${el.tag} v-bind.sync="${dir.value}">: ` +
+      `v-bind.sync with an object literal will not update any value in the ` +
+      `parent scope, bind an object from the component state instead.`
+    )
+  }
   el.wrapData = (code: string) => {
-    return `_b(${code},'${el.tag}',${dir.value}${
-      dir.modifiers && dir.modifiers.prop ? ',true' : ''
+    return `_b(${code},'${el.tag}',${dir.value},${
+      dir.modifiers && dir.modifiers.prop ? 'true' : 'false'
+    }${
+      sync ? ',true' : ''
     })`
   }
 }
@@ -1,12 +1,21 @@
 /* @flow */
 
+import { camelize } from 'shared/util'
+import { addAttr, addHandler } from '../helpers'
+
 /**
  * Cross-platform code generation for component v-model
  */
+/*
+  组件上的v-model
+  不带参数时生成el.model，在运行时根据组件的model选项（默认为value prop与input事件）转换成prop与事件；
+  带参数的v-model:title="val"绑定title prop并监听update:title事件，因此一个组件上可以同时使用多个v-model
+*/
 export function genComponentModel (
   el: ASTElement,
   value: string,
-  modifiers: ?ASTModifiers
+  modifiers: ?ASTModifiers,
+  arg?: ?string
 ): ?boolean {
   const { number, trim } = modifiers || {}
 
@@ -23,6 +32,16 @@ export function genComponentModel (
   }
   const assignment = genAssignmentCode(value, valueExpression)
 
+  if (arg) {
+    addAttr(el, arg, `(${value})`)
+    addHandler(
+      el,
+      `update:${camelize(arg)}`,
+      `function (${baseValueExpression}) {${assignment}}`
+    )
+    return
+  }
+
   el.model = {
     value: `(${value})`,
     expression: `"${value}"`,
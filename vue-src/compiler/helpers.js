@@ -16,14 +16,21 @@ export function pluckModuleFunction<F: Function> (
     : []
 }
 
-/*将属性放入ele的props属性中*/
-export function addProp (el: ASTElement, name: string, value: string) {
-  (el.props || (el.props = [])).push({ name, value })
+/*将属性放入ele的props属性中，dynamic为true时name是一个在运行时求值的表达式*/
+export function addProp (el: ASTElement, name: string, value: string, dynamic?: boolean) {
+  (el.props || (el.props = [])).push({ name, value, dynamic })
 }
 
-/*将属性放入ele的attr属性中*/
-export function addAttr (el: ASTElement, name: string, value: string) {
-  (el.attrs || (el.attrs = [])).push({ name, value })
+/*将属性放入ele的attr属性中，dynamic为true时name是一个在运行时求值的表达式*/
+export function addAttr (el: ASTElement, name: string, value: string, dynamic?: boolean) {
+  (el.attrs || (el.attrs = [])).push({ name, value, dynamic })
+}
+
+/*为事件名加上修饰符标记，动态事件名需要在运行时通过_p添加*/
+function prependModifierMarker (symbol: string, name: string, dynamic?: boolean): string {
+  return dynamic
+    ? `_p(${name},"${symbol}")`
+    : symbol + name
 }
 
 /*将参数加入到ele的directives中去*/
@@ -44,7 +51,8 @@ export function addHandler (
   value: string,
   modifiers: ?ASTModifiers,
   important?: boolean,
-  warn?: Function
+  warn?: Function,
+  dynamic?: boolean
 ) {
   // warn prevent and passive modifier
   /* istanbul ignore if */
@@ -60,16 +68,16 @@ export function addHandler (
   // check capture modifier
   if (modifiers && modifiers.capture) {
     delete modifiers.capture
-    name = '!' + name // mark the event as captured
+    name = prependModifierMarker('!', name, dynamic) // mark the event as captured
   }
   if (modifiers && modifiers.once) {
     delete modifiers.once
-    name = '~' + name // mark the event as once
+    name = prependModifierMarker('~', name, dynamic) // mark the event as once
   }
   /* istanbul ignore if */
   if (modifiers && modifiers.passive) {
     delete modifiers.passive
-    name = '&' + name // mark the event as passive
+    name = prependModifierMarker('&', name, dynamic) // mark the event as passive
   }
   let events
   if (modifiers && modifiers.native) {
@@ -78,7 +86,10 @@ export function addHandler (
   } else {
     events = el.events || (el.events = {})
   }
-  const newHandler = { value, modifiers }
+  const newHandler: any = { value, modifiers }
+  if (dynamic) {
+    newHandler.dynamic = true
+  }
   const handlers = events[name]
   /* istanbul ignore if */
   if (Array.isArray(handlers)) {
@@ -111,6 +122,21 @@ export function getBindingAttr (
   }
 }
 
+/*从ele的属性中获取第一个名称匹配正则的属性并将它从中删除，返回该属性*/
+export function getAndRemoveAttrByRegex (
+  el: ASTElement,
+  name: RegExp
+): ?{ name: string, value: string } {
+  const list = el.attrsList
+  for (let i = 0, l = list.length; i < l; i++) {
+    const attr = list[i]
+    if (name.test(attr.name)) {
+      list.splice(i, 1)
+      return attr
+    }
+  }
+}
+
 /*从ele的属性中获取name对应的值并将它从中删除*/
 export function getAndRemoveAttr (el: ASTElement, name: string): ?string {
   let val
@@ -16,7 +16,8 @@ import {
   addDirective,
   getBindingAttr,
   getAndRemoveAttr,
-  pluckModuleFunction
+  pluckModuleFunction,
+  getAndRemoveAttrByRegex
 } from '../helpers'
 
 /*匹配@以及v-on，绑定事件 */
@@ -31,8 +32,15 @@ export const forIteratorRE = /\((\{[^}]*\}|[^,]*),([^,]*)(?:,([^,]*))?\)/
 const argRE = /:(.*)$/
 /*匹配v-bind以及:*/
 const bindRE = /^:|^v-bind:/
-/*根据点来分开各个级别的正则，比如a.b.c.d解析后可以得到.b .c .d*/
-const modifierRE = /\.[^.]+/g
+/*根据点来分开各个级别的正则，比如a.b.c.d解析后可以得到.b .c .d，动态参数[a.b]中的点不会被当作修饰符*/
+const modifierRE = /\.[^.\]]+(?=[^\]]*$)/g
+/*匹配动态参数，比如v-bind:[key]中的[key]*/
+const dynamicArgRE = /^\[.*\]$/
+/*匹配v-slot、v-slot:name以及简写#name*/
+const slotRE = /^v-slot(:|$)|^#/
+
+/*v-slot没有声明slot props时使用的占位参数名*/
+export const emptySlotScopeToken = `_empty_`
 
 const decodeHTMLCached = cached(decode)
 
@@ -189,31 +197,9 @@ export function parse (
         processAttrs(element)
       }
 
-      /*监测根级元素的约束*/
-      function checkRootConstraints (el) {
-        if (process.env.NODE_ENV !== 'production') {
-          /*slot以及templete不能作为根级元素*/
-          if (el.tag === 'slot' || el.tag === 'template') {
-            warnOnce(
-              `Cannot use <${el.tag}> as component root element because it may ` +
-              'contain multiple nodes.'
-            )
-          }
-          /*以及根级元素不能有v-for*/
-          if (el.attrsMap.hasOwnProperty('v-for')) {
-            warnOnce(
-              'Cannot use v-for on stateful component root element because ' +
-              'it renders multiple elements.'
-            )
-          }
-        }
-      }
-
       // tree management
       if (!root) {
         root = element
-        /*检测根级元素的约束*/
-        checkRootConstraints(root)
       } else if (!stack.length) {
         // allow root elements with v-if, v-else-if and v-else
         /*
@@ -225,21 +211,23 @@ export function parse (
           </template>
           是完全允许的
         */
-        if (root.if && (element.elseif || element.else)) {
-          /*监测根级元素的约束*/
-          checkRootConstraints(element)
+        const lastRoot = root.fragment
+          ? root.children[root.children.length - 1]
+          : root
+        if (lastRoot.if && (element.elseif || element.else)) {
           /*在el的ifConditions属性中加入condition*/
-          addIfCondition(root, {
+          addIfCondition(lastRoot, {
             exp: element.elseif,
             block: element
           })
-        } else if (process.env.NODE_ENV !== 'production') {
-          /*在根级元素包含多个ele的时候，有不含v-else的ele则报出打印*/
-          warnOnce(
-            `Component template should contain exactly one root element. ` +
-            `If you are using v-if on multiple elements, ` +
-            `use v-else-if to chain them instead.`
-          )
+        } else if (!element.forbidden) {
+          // multiple root elements, wrap them in a fragment
+          /*存在多个根级元素时，用一个<template>节点包裹，最终渲染成fragment节点*/
+          if (!root.fragment) {
+            root = createFragmentRoot(root)
+          }
+          element.parent = root
+          root.children.push(element)
         }
       }
       /*forbidden标志是否是被禁止的标签（style标签或者script标签）*/
@@ -336,6 +324,22 @@ export function parse (
   return root
 }
 
+/*创建一个包裹多个根级元素的<template>节点*/
+function createFragmentRoot (el: ASTElement): ASTElement {
+  const root: ASTElement = {
+    type: 1,
+    tag: 'template',
+    attrsList: [],
+    attrsMap: {},
+    parent: undefined,
+    children: [el],
+    plain: true,
+    fragment: true
+  }
+  el.parent = root
+  return root
+}
+
 /*
   处理v-pre属性
   v-pre元素及其子元素被跳过编译
@@ -525,10 +529,36 @@ function processSlot (el) {
     }
     if (el.tag === 'template') {
       el.slotScope = getAndRemoveAttr(el, 'scope')
+      /*
+        v-slot语法，在<template>上同时声明slot名与slot props，比如
+        <template v-slot:header="{ title }"> 或者 <template #header="{ title }">
+      */
+      const slotBinding = getAndRemoveAttrByRegex(el, slotRE)
+      if (slotBinding) {
+        if (process.env.NODE_ENV !== 'production' && (el.slotTarget || el.slotScope)) {
+          warn(
+            `Unexpected mixed usage of different slot syntaxes ` +
+            `(v-slot and slot/scope) on <template>.`
+          )
+        }
+        el.slotTarget = getSlotName(slotBinding)
+        el.slotScope = slotBinding.value || emptySlotScopeToken
+      }
+    } else if (getAndRemoveAttrByRegex(el, slotRE)) {
+      /*v-slot只能用在<template>上，其他元素上的v-slot也需要被移除，否则会被当作普通的指令或者属性处理*/
+      process.env.NODE_ENV !== 'production' && warn(
+        `<${el.tag}>: v-slot can only be used on <template>.`
+      )
     }
   }
 }
 
+/*获取v-slot中声明的slot名，没有声明的时候为default*/
+function getSlotName (binding) {
+  const name = binding.name.replace(slotRE, '')
+  return JSON.stringify(name || 'default')
+}
+
 /*处理组件*/
 function processComponent (el) {
   let binding
@@ -546,7 +576,7 @@ function processComponent (el) {
 function processAttrs (el) {
   /*获取元素属性列表*/
   const list = el.attrsList
-  let i, l, name, rawName, value, modifiers, isProp
+  let i, l, name, rawName, value, modifiers, isProp, isDynamic
   for (i = 0, l = list.length; i < l; i++) {
     name = rawName = list[i].name
     value = list[i].value
@@ -566,6 +596,11 @@ function processAttrs (el) {
       if (bindRE.test(name)) { // v-bind
         /*这样处理以后v-bind:aaa得到aaa*/
         name = name.replace(bindRE, '')
+        /*动态参数v-bind:[key]，name为在运行时求值的表达式key*/
+        isDynamic = dynamicArgRE.test(name)
+        if (isDynamic) {
+          name = name.slice(1, -1)
+        }
         /*解析过滤器*/
         value = parseFilters(value)
         isProp = false
@@ -577,34 +612,55 @@ function processAttrs (el) {
           /*.prop - 被用于绑定 DOM 属性。*/
           if (modifiers.prop) {
             isProp = true
-             /*将原本用-连接的字符串变成驼峰 aaa-bbb-ccc => aaaBbbCcc*/
-            name = camelize(name)
-            if (name === 'innerHtml') name = 'innerHTML'
+            if (!isDynamic) {
+              /*将原本用-连接的字符串变成驼峰 aaa-bbb-ccc => aaaBbbCcc*/
+              name = camelize(name)
+              if (name === 'innerHtml') name = 'innerHTML'
+            }
           }
           /*.camel - (2.1.0+) 将 kebab-case 特性名转换为 camelCase. (从 2.1.0 开始支持)*/
-          if (modifiers.camel) {
+          if (modifiers.camel && !isDynamic) {
             name = camelize(name)
           }
           //.sync (2.3.0+) 语法糖，会扩展成一个更新父组件绑定值的 v-on 侦听器。
           if (modifiers.sync) {
-            addHandler(
-              el,
-              `update:${camelize(name)}`,
-              genAssignmentCode(value, `$event`)
-            )
+            if (!isDynamic) {
+              addHandler(
+                el,
+                `update:${camelize(name)}`,
+                genAssignmentCode(value, `$event`)
+              )
+            } else {
+              /*动态参数的事件名在运行时拼接*/
+              addHandler(
+                el,
+                `"update:"+(${name})`,
+                genAssignmentCode(value, `$event`),
+                null,
+                false,
+                warn,
+                true
+              )
+            }
           }
         }
-        if (isProp || platformMustUseProp(el.tag, el.attrsMap.type, name)) {
+        /*动态参数无法在编译时判断是否必须作为DOM property绑定*/
+        if (isProp || (!isDynamic && platformMustUseProp(el.tag, el.attrsMap.type, name))) {
           /*将属性放入ele的props属性中*/
-          addProp(el, name, value)
+          addProp(el, name, value, isDynamic)
         } else {
           /*将属性放入ele的attr属性中*/
-          addAttr(el, name, value)
+          addAttr(el, name, value, isDynamic)
         }
       } else if (onRE.test(name)) { // v-on
         /*处理v-on以及bind*/
         name = name.replace(onRE, '')
-        addHandler(el, name, value, modifiers, false, warn)
+        /*动态参数v-on:[event]，name为在运行时求值的表达式event*/
+        isDynamic = dynamicArgRE.test(name)
+        if (isDynamic) {
+          name = name.slice(1, -1)
+        }
+        addHandler(el, name, value, modifiers, false, warn, isDynamic)
       } else { // normal directives
         /*去除@、:、v-*/
         name = name.replace(dirRE, '')
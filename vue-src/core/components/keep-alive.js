@@ -1,6 +1,6 @@
 /* @flow */
 
-import { isRegExp } from 'shared/util'
+import { isRegExp, remove } from 'shared/util'
 import { getFirstComponentChild } from 'core/vdom/helpers/index'
 
 type VNodeCache = { [key: string]: ?VNode };
@@ -26,7 +26,8 @@ function matches (pattern: string | RegExp, name: string): boolean {
 }
 
 /* 修正cache */
-function pruneCache (cache: VNodeCache, current: VNode, filter: Function) {
+function pruneCache (keepAliveInstance: any, filter: Function) {
+  const { cache, _vnode } = keepAliveInstance
   for (const key in cache) {
     /* 取出cache中的vnode */
     const cachedNode: ?VNode = cache[key]
@@ -34,19 +35,24 @@ function pruneCache (cache: VNodeCache, current: VNode, filter: Function) {
       const name: ?string = getComponentName(cachedNode.componentOptions)
       /* name不符合filter条件的，同时不是目前渲染的vnode时，销毁vnode对应的组件实例（Vue实例），并从cache中移除 */
       if (name && !filter(name)) {
-        if (cachedNode !== current) {
-          pruneCacheEntry(cachedNode)
-        }
-        cache[key] = null
+        pruneCacheEntry(keepAliveInstance, key, _vnode)
       }
     }
   }
 }
 
-/* 销毁vnode对应的组件实例（Vue实例） */
-function pruneCacheEntry (vnode: ?VNode) {
-  if (vnode) {
-    vnode.componentInstance.$destroy()
+/* 销毁key对应的组件实例（Vue实例），将其从cache与keys中移除，并通过prune事件通知父组件 */
+function pruneCacheEntry (keepAliveInstance: any, key: string, current?: ?VNode) {
+  const { cache, keys } = keepAliveInstance
+  const cachedNode: ?VNode = cache[key]
+  /* 目前正在渲染的组件实例不需要销毁（缓存的vnode与当前渲染的vnode不一定是同一个，比较两者的组件实例） */
+  if (cachedNode && (!current || cachedNode.componentInstance !== current.componentInstance)) {
+    cachedNode.componentInstance.$destroy()
+  }
+  cache[key] = null
+  remove(keys, key)
+  if (cachedNode) {
+    keepAliveInstance.$emit('prune', key, getComponentName(cachedNode.componentOptions))
   }
 }
 
@@ -58,28 +64,35 @@ export default {
 
   props: {
     include: patternTypes,
-    exclude: patternTypes
+    exclude: patternTypes,
+    /* 最多可以缓存的组件实例数量，超出时按照LRU策略销毁最久没有被访问的实例 */
+    max: [String, Number]
   },
 
   created () {
     /* 缓存对象 */
     this.cache = Object.create(null)
+    /* 缓存的key数组，按访问顺序排列，最近访问的key在最后 */
+    this.keys = []
   },
 
   /* destroyed钩子中销毁所有cache中的组件实例 */
   destroyed () {
     for (const key in this.cache) {
-      pruneCacheEntry(this.cache[key])
+      const cachedNode: ?VNode = this.cache[key]
+      if (cachedNode) {
+        cachedNode.componentInstance.$destroy()
+      }
     }
   },
 
   watch: {
     /* 监视include以及exclude，在被修改的时候对cache进行修正 */
     include (val: string | RegExp) {
-      pruneCache(this.cache, this._vnode, name => matches(val, name))
+      pruneCache(this, name => matches(val, name))
     },
     exclude (val: string | RegExp) {
-      pruneCache(this.cache, this._vnode, name => !matches(val, name))
+      pruneCache(this, name => !matches(val, name))
     }
   },
 
@@ -105,10 +118,21 @@ export default {
         ? componentOptions.Ctor.cid + (componentOptions.tag ? `::${componentOptions.tag}` : '')
         : vnode.key
       /* 如果已经做过缓存了则直接从缓存中获取组件实例给vnode，还未缓存过则进行缓存 */
-      if (this.cache[key]) {
-        vnode.componentInstance = this.cache[key].componentInstance
+      const { cache, keys } = this
+      if (cache[key]) {
+        vnode.componentInstance = cache[key].componentInstance
+        // make current key freshest
+        /* 将当前key移动到keys末尾，标记为最近访问 */
+        remove(keys, key)
+        keys.push(key)
       } else {
-        this.cache[key] = vnode
+        cache[key] = vnode
+        keys.push(key)
+        // prune oldest entry
+        /* 超出max时销毁最久没有被访问的组件实例 */
+        if (this.max && keys.length > parseInt(this.max)) {
+          pruneCacheEntry(this, keys[0], this._vnode)
+        }
       }
       /* keepAlive标记位 */
       vnode.data.keepAlive = true
@@ -0,0 +1,167 @@
+/* @flow */
+
+import Watcher from 'core/observer/watcher'
+import { createFragmentVNode, createTeleportVNode } from 'core/vdom/vnode'
+import { isDef, isUndef, isTrue } from 'shared/util'
+
+type SuspenseState = {
+  factories: Array<Function>,
+  pending: number,
+  error: any
+};
+
+/*
+  收集vnode子树中未完成的异步依赖：
+  还未resolve的异步组件（渲染为带有asyncFactory的占位节点）、组件实例上处于pending状态的异步计算属性，
+  以及尚未完成的异步setup/data。读取这些pending状态时会被调用者的watcher收集为依赖。
+  嵌套的<suspense>自己处理其子树。
+*/
+function collectPending (vnode: ?VNode, state: SuspenseState) {
+  if (isUndef(vnode)) return
+  const factory = vnode.asyncFactory
+  if (isDef(factory)) {
+    if (isTrue(factory.error)) {
+      state.error = state.error || factory.errorReason || new Error('Failed to resolve async component')
+    } else if (isUndef(factory.resolved)) {
+      state.factories.push(factory)
+    }
+    return
+  }
+  const child = vnode.componentInstance
+  if (isDef(child)) {
+    if (child._isSuspense) return
+    const asyncComputed = child._asyncComputed
+    if (asyncComputed) {
+      for (const key in asyncComputed) {
+        if (asyncComputed[key].pending) state.pending++
+      }
+    }
+    if (child._asyncInit) {
+      state.pending += child._asyncInit.pending
+    }
+    collectPending(child._vnode, state)
+    return
+  }
+  const children = vnode.children
+  if (Array.isArray(children)) {
+    for (let i = 0; i < children.length; i++) {
+      collectPending(children[i], state)
+    }
+  }
+}
+
+/* 根据子树中异步依赖的状态切换suspense的状态 */
+function settle (vm: any, state: SuspenseState) {
+  if (vm.resolved || vm.error) return
+  if (state.error) {
+    vm.error = state.error
+    clearTimer(vm)
+    vm.$emit('error', state.error)
+  } else if (state.factories.length || state.pending) {
+    // force a re-check once the pending async components resolve
+    for (let i = 0; i < state.factories.length; i++) {
+      const contexts = state.factories[i].contexts
+      if (contexts && contexts.indexOf(vm) < 0) {
+        contexts.push(vm)
+      }
+    }
+    if (vm.timeout != null && !vm._timer && !vm.timedOut) {
+      vm._timer = setTimeout(() => {
+        vm._timer = null
+        vm.timedOut = true
+        vm.$emit('timeout')
+      }, parseInt(vm.timeout))
+    }
+  } else {
+    vm.resolved = true
+    clearTimer(vm)
+    vm._pendingWatcher.teardown()
+    vm.$emit('resolve')
+  }
+}
+
+function clearTimer (vm: any) {
+  if (vm._timer) {
+    clearTimeout(vm._timer)
+    vm._timer = null
+  }
+}
+
+/*
+  suspense组件
+  等待默认插槽中所有的异步组件、异步计算属性以及异步的setup/data完成之后才将其显示出来，在此之前显示fallback插槽。
+  默认插槽的内容会被渲染在一个不在文档中的容器里，完成后再移动到原位置，所以组件状态得以保留。
+  超过timeout毫秒仍未完成时显示timeout插槽（如果有），
+  异步组件加载失败或者子树中抛出错误时显示error插槽，该插槽可以通过作用域获取error。
+*/
+export default {
+  name: 'suspense',
+
+  props: {
+    timeout: [String, Number]
+  },
+
+  data () {
+    return {
+      resolved: false,
+      timedOut: false,
+      error: null
+    }
+  },
+
+  created () {
+    this._isSuspense = true
+    this._timer = null
+  },
+
+  mounted () {
+    this._pendingWatcher = new Watcher(this, function () {
+      const state = { factories: [], pending: 0, error: null }
+      // only the default content is checked, the root is always a fragment
+      // whose first child is the offscreen content
+      collectPending(this._vnode && this._vnode.children[0], state)
+      return state
+    }, state => settle(this, state))
+    settle(this, this._pendingWatcher.value)
+  },
+
+  /* 子树发生变化后重新检查异步依赖 */
+  updated () {
+    if (!this.resolved && !this.error) {
+      this._pendingWatcher.run()
+    }
+  },
+
+  destroyed () {
+    clearTimer(this)
+  },
+
+  /* 在完成之前捕获子树中的错误并显示error插槽 */
+  errorCaptured (err: Error) {
+    if (!this.resolved && !this.error) {
+      this.error = err
+      clearTimer(this)
+      this.$emit('error', err)
+      return false
+    }
+  },
+
+  render () {
+    const slots = this.$slots
+    const scopedSlots = this.$scopedSlots
+    // the content is kept offscreen until resolved, then moved in place
+    const content = createTeleportVNode(slots.default || [], undefined, this.resolved)
+    content.teleport.offscreen = true
+    let fallback
+    if (this.resolved) {
+      fallback = []
+    } else if (this.error) {
+      fallback = scopedSlots.error ? scopedSlots.error({ error: this.error }) : []
+    } else if (this.timedOut && slots.timeout) {
+      fallback = slots.timeout
+    } else {
+      fallback = slots.fallback || []
+    }
+    return createFragmentVNode([content].concat(fallback || []))
+  }
+}
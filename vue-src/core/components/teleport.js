@@ -0,0 +1,28 @@
+/* @flow */
+
+import { createTeleportVNode } from 'core/vdom/vnode'
+
+/*
+  teleport组件
+  将插槽内容渲染到to指定的目标节点（选择器或者节点）中，而不是当前组件所在的位置。
+  插槽内容仍然是当前组件树的一部分，所以响应式、provide/inject以及事件都保持不变，
+  组件销毁时渲染到目标中的内容也会一并被移除。
+*/
+export default {
+  name: 'teleport',
+  /* 抽象组件，不会出现在父组件链中 */
+  abstract: true,
+
+  props: {
+    /* 目标节点，可以是选择器或者节点 */
+    to: {
+      required: true
+    },
+    /* 禁用时插槽内容渲染在原位置 */
+    disabled: Boolean
+  },
+
+  render () {
+    return createTeleportVNode(this.$slots.default || [], this.to, this.disabled)
+  }
+}
@@ -18,6 +18,7 @@ export type Config = {
   errorHandler: ?(err: Error, vm: Component, info: string) => void;
   ignoredElements: Array<string>;
   keyCodes: { [key: string]: number | Array<number> };
+  hydrationRecovery: boolean;
 
   // platform
   isReservedTag: (x?: string) => boolean;
@@ -72,6 +73,12 @@ export default ({
    */
   keyCodes: Object.create(null),
 
+  /**
+   * Re-render only the mismatching nodes on the client when hydrating
+   * server-rendered content, instead of discarding the whole tree
+   */
+  hydrationRecovery: false,
+
   /**
    * Check if a tag is reserved so that it cannot be registered as a
    * component. This is platform-dependent and may be overwritten.
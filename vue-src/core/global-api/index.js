@@ -5,7 +5,25 @@ import { initUse } from './use'
 import { initMixin } from './mixin'
 import { initExtend } from './extend'
 import { initAssetRegisters } from './assets'
-import { set, del } from '../observer/index'
+import { set, del, observe } from '../observer/index'
+import { readonly } from '../observer/readonly'
+import { effectScope, getCurrentScope, onScopeDispose } from '../observer/effect-scope'
+import { resetAsyncComponent } from '../vdom/helpers/resolve-async-component'
+import { createRenderer } from '../vdom/create-renderer'
+import {
+  getCurrentInstance,
+  onBeforeMount,
+  onMounted,
+  onBeforeUpdate,
+  onUpdated,
+  onBeforeUnmount,
+  onUnmounted,
+  onActivated,
+  onDeactivated,
+  onErrorCaptured,
+  onRenderTracked,
+  onRenderTriggered
+} from '../instance/lifecycle'
 import { ASSET_TYPES } from 'shared/constants'
 import builtInComponents from '../components/index'
 
@@ -13,6 +31,7 @@ import {
   warn,
   extend,
   nextTick,
+  isObject,
   mergeOptions,
   defineReactive
 } from '../util/index'
@@ -49,6 +68,50 @@ export function initGlobalAPI (Vue: GlobalAPI) {
   Vue.delete = del
   Vue.nextTick = nextTick
 
+  /*副作用作用域，用来在组件之外统一收集并销毁watcher*/
+  Vue.effectScope = effectScope
+  Vue.getCurrentScope = getCurrentScope
+  Vue.onScopeDispose = onScopeDispose
+
+  /*生命周期注册函数，在setup或者插件中将钩子注册到当前正在初始化的实例上*/
+  Vue.getCurrentInstance = getCurrentInstance
+  Vue.onBeforeMount = onBeforeMount
+  Vue.onMounted = onMounted
+  Vue.onBeforeUpdate = onBeforeUpdate
+  Vue.onUpdated = onUpdated
+  Vue.onBeforeUnmount = onBeforeUnmount
+  Vue.onUnmounted = onUnmounted
+  Vue.onActivated = onActivated
+  Vue.onDeactivated = onDeactivated
+  Vue.onErrorCaptured = onErrorCaptured
+  Vue.onRenderTracked = onRenderTracked
+  Vue.onRenderTriggered = onRenderTriggered
+
+  /*重置一个加载失败的异步组件工厂，下一次渲染时会重新加载*/
+  Vue.resetAsyncComponent = resetAsyncComponent
+
+  /*创建自定义渲染器，用来将组件渲染到自定义的平台*/
+  Vue.createRenderer = createRenderer
+
+  // explicit observable API
+  /*
+    将一个对象转换成响应式对象并返回该对象本身（而不是副本），不需要创建Vue实例，
+    返回的对象可以直接在计算属性以及render函数中使用，也可以放在data中使用并保留其响应式模式
+    options.shallow: 只对第一层的key进行响应式处理
+    options.readonly: 返回一个只读视图，对视图赋值时在开发环境下发出warning
+  */
+  Vue.observable = (obj: any, options?: { shallow?: boolean, readonly?: boolean }): any => {
+    if (process.env.NODE_ENV !== 'production' && !isObject(obj)) {
+      warn(`Vue.observable() expects an object or array, got: ${String(obj)}`)
+      return obj
+    }
+    const shallow = !!(options && options.shallow)
+    observe(obj, false, shallow)
+    return options && options.readonly
+      ? readonly(obj, shallow)
+      : obj
+  }
+
   /**
    * 添加Vue.options = {
    *  component: Object.create(null),
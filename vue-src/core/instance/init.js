@@ -6,8 +6,9 @@ import { initState } from './state'
 import { initRender } from './render'
 import { initEvents } from './events'
 import { mark, measure } from '../util/perf'
-import { initLifecycle, callHook } from './lifecycle'
+import { initLifecycle, callHook, setCurrentInstance } from './lifecycle'
 import { initProvide, initInjections } from './inject'
+import { setActiveEffectScope } from '../observer/effect-scope'
 import { extend, mergeOptions, formatComponentName } from '../util/index'
 /*Github:https://github.com/answershuto*/
 let uid = 0
@@ -68,14 +69,27 @@ export function initMixin (Vue: Class<Component>) {
     initEvents(vm)
     /*初始化render 设置了 _vnode属性、$slots属性、$scopedSlots属性、$createElement方法*/
     initRender(vm)
-    /*调用beforeCreate钩子函数并且触发beforeCreate钩子事件*/
-    callHook(vm, 'beforeCreate')
-    initInjections(vm) // resolve injections before data/props
-    /*初始化props、methods、data、computed与watch*/
-    initState(vm)
-    initProvide(vm) // resolve provide after data/props
-    /*调用created钩子函数并且触发created钩子事件*/
-    callHook(vm, 'created')
+    /*在beforeCreate到created之间（包括setup）调用的生命周期注册函数会将钩子注册到该实例上*/
+    const prevInstance = setCurrentInstance(vm)
+    try {
+      /*调用beforeCreate钩子函数并且触发beforeCreate钩子事件*/
+      callHook(vm, 'beforeCreate')
+      initInjections(vm) // resolve injections before data/props
+      /*初始化props、methods、data、computed与watch，组件内部的watcher由组件自身负责销毁，不被外部的effectScope收集*/
+      const prevScope = setActiveEffectScope(null)
+      try {
+        initState(vm)
+      } finally {
+        /*初始化过程中抛出错误时也需要恢复外部的effectScope，避免泄漏到之后创建的组件*/
+        setActiveEffectScope(prevScope)
+      }
+      initProvide(vm) // resolve provide after data/props
+      /*调用created钩子函数并且触发created钩子事件*/
+      callHook(vm, 'created')
+    } finally {
+      /*初始化过程中抛出错误时也需要恢复之前的实例*/
+      setCurrentInstance(prevInstance)
+    }
 
     /* istanbul ignore if */
     if (process.env.NODE_ENV !== 'production' && config.performance && mark) {
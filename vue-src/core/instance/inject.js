@@ -1,9 +1,14 @@
 /* @flow */
 /*Github:https://github.com/answershuto*/
 import { hasSymbol } from 'core/util/env'
-import { warn } from '../util/index'
+import { warn, noop } from '../util/index'
 import { defineReactive } from '../observer/index'
 /*Github:https://github.com/answershuto*/
+/*
+  初始化provide
+  provide返回的对象中的getter不会在这里求值，而是在注入的组件每次访问时以提供者实例作为this求值，
+  所以提供者可以通过getter提供响应式的值，例如：provide () { return { get theme () { return this.theme } } }
+*/
 export function initProvide (vm: Component) {
   const provide = vm.$options.provide
   if (provide) {
@@ -17,17 +22,27 @@ export function initInjections (vm: Component) {
   const result = resolveInject(vm.$options.inject, vm)
   if (result) {
     Object.keys(result).forEach(key => {
-      /* istanbul ignore else */
-      /*为对象defineProperty上在变化时通知的属性*/
-      if (process.env.NODE_ENV !== 'production') {
-        defineReactive(vm, key, result[key], () => {
-          warn(
-            `Avoid mutating an injected value directly since the changes will be ` +
-            `overwritten whenever the provided component re-renders. ` +
-            `injection being mutated: "${key}"`,
-            vm
-          )
+      const warnMutation = () => {
+        warn(
+          `Avoid mutating an injected value directly since the changes will be ` +
+          `overwritten whenever the provided component re-renders. ` +
+          `injection being mutated: "${key}"`,
+          vm
+        )
+      }
+      const getter = (Object.getOwnPropertyDescriptor(result, key): any).get
+      if (getter) {
+        /*通过getter提供的值每次访问时都从提供者处读取，依赖会被访问者收集*/
+        Object.defineProperty(vm, key, {
+          enumerable: true,
+          configurable: true,
+          get: getter,
+          set: process.env.NODE_ENV !== 'production' ? warnMutation : noop
         })
+      } else if (process.env.NODE_ENV !== 'production') {
+        /* istanbul ignore else */
+        /*为对象defineProperty上在变化时通知的属性*/
+        defineReactive(vm, key, result[key], warnMutation)
       } else {
         defineReactive(vm, key, result[key])
       }
@@ -35,29 +50,56 @@ export function initInjections (vm: Component) {
   }
 }
 
+/**
+ * 沿着$parent链向上查找提供了inject[key].from的组件
+ * 找不到时使用inject[key].default（函数会以当前实例作为this调用，返回其结果），否则在开发环境下发出warning
+ * inject选项已经在mergeOptions中被序列化成 { key: { from, default } } 的格式
+ */
 export function resolveInject (inject: any, vm: Component): ?Object {
   if (inject) {
-    // inject is :any because flow is not smart enough to figure out cached
-    // isArray here
-    const isArray = Array.isArray(inject)
     const result = Object.create(null)
-    const keys = isArray
-      ? inject
-      : hasSymbol
-        ? Reflect.ownKeys(inject)
-        : Object.keys(inject)
+    const keys = hasSymbol
+      ? Reflect.ownKeys(inject)
+      : Object.keys(inject)
 
     for (let i = 0; i < keys.length; i++) {
       const key = keys[i]
-      const provideKey = isArray ? key : inject[key]
+      const provideKey = inject[key].from
       let source = vm
       while (source) {
         if (source._provided && provideKey in source._provided) {
-          result[key] = source._provided[provideKey]
+          const provider = source
+          const desc = Object.getOwnPropertyDescriptor(provider._provided, provideKey)
+          if (desc && desc.get) {
+            const get = desc.get
+            Object.defineProperty(result, key, {
+              enumerable: true,
+              configurable: true,
+              get: () => get.call(provider)
+            })
+          } else {
+            result[key] = provider._provided[provideKey]
+          }
           break
         }
         source = source.$parent
       }
+      if (!source) {
+        if ('default' in inject[key]) {
+          const provideDefault = inject[key].default
+          result[key] = typeof provideDefault === 'function'
+            ? provideDefault.call(vm)
+            : provideDefault
+        } else if (process.env.NODE_ENV !== 'production') {
+          warn(
+            `Injection "${String(key)}" not found` +
+            (provideKey !== key ? ` (looked up as "${String(provideKey)}")` : '') +
+            `. Make sure an ancestor component provides it, ` +
+            `or declare a default value.`,
+            vm
+          )
+        }
+      }
     }
     return result
   }
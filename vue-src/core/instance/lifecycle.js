@@ -5,6 +5,7 @@ import Watcher from '../observer/watcher'
 import { mark, measure } from '../util/perf'
 import { createEmptyVNode } from '../vdom/vnode'
 import { observerState } from '../observer/index'
+import { setActiveEffectScope } from '../observer/effect-scope'
 import { updateComponentListeners } from './events'
 import { resolveSlots } from './render-helpers/resolve-slots'
 
@@ -18,6 +19,10 @@ import {
 } from '../util/index'
 
 export let activeInstance: any = null
+/*当前正在初始化（beforeCreate到created之间，包括setup）的实例，生命周期注册函数会将钩子注册到该实例上*/
+export let currentInstance: any = null
+/*标志位，代表当前正在通过updateChildComponent更新子组件，用来在开发环境下判断$attrs与$listeners是否被用户直接修改*/
+export let isUpdatingChildComponent: boolean = false
 
 /**
  * 注册vm实例的父级组件，设置vm实例生命周期相关标志位
@@ -46,6 +51,13 @@ export function initLifecycle (vm: Component) {
   vm.$parent = parent
   vm.$root = parent ? parent.$root : vm
 
+  // trees mounted by a custom renderer (see createRenderer) patch and mount
+  // with the renderer's functions, propagate them down to child components
+  if (parent && parent.__patch__ !== vm.__patch__) {
+    vm.__patch__ = parent.__patch__
+    vm.$mount = parent.$mount
+  }
+
   vm.$children = []
   vm.$refs = {}
 
@@ -151,6 +163,10 @@ export function lifecycleMixin (Vue: Class<Component>) {
     while (i--) {
       vm._watchers[i].teardown()
     }
+    /* 销毁setup中创建的effect scope */
+    if (vm._scope) {
+      vm._scope.stop()
+    }
     // remove reference from data ob
     // frozen object may not have observer.
     if (vm._data.__ob__) {
@@ -253,7 +269,22 @@ export function mountComponent (
     }) 
     相当于把整个render方法当做被watch的表达式，new Watcher的时候，就运行了一边render方法，进行了第一次依赖收集
   */
-  vm._watcher = new Watcher(vm, updateComponent, noop)
+  /*开发环境下通过renderTracked与renderTriggered钩子（包括通过onRenderTracked等函数注册的钩子）报告render watcher的依赖收集与触发更新*/
+  let watcherOptions
+  const hooks = vm._hooks
+  if (process.env.NODE_ENV !== 'production' && (
+    vm.$options.renderTracked || vm.$options.renderTriggered ||
+    (hooks && (hooks.renderTracked || hooks.renderTriggered))
+  )) {
+    watcherOptions = {
+      onTrack: e => callHook(vm, 'renderTracked', [e]),
+      onTrigger: e => callHook(vm, 'renderTriggered', [e])
+    }
+  }
+  /*render watcher由组件自身负责销毁，不被外部的effectScope收集*/
+  const prevScope = setActiveEffectScope(null)
+  vm._watcher = new Watcher(vm, updateComponent, noop, watcherOptions)
+  setActiveEffectScope(prevScope)
   hydrating = false
 
   // manually mounted instance, call mounted on self
@@ -274,13 +305,17 @@ export function updateChildComponent (
   parentVnode: VNode,
   renderChildren: ?Array<VNode>
 ) {
+  if (process.env.NODE_ENV !== 'production') {
+    isUpdatingChildComponent = true
+  }
+
   // determine whether component has slot children
   // we need to do this before overwriting $options._renderChildren
   const hasChildren = !!(
     renderChildren ||               // has new static slots
     vm.$options._renderChildren ||  // has old static slots
     parentVnode.data.scopedSlots || // has new scoped slots
-    vm.$scopedSlots !== emptyObject // has old scoped slots
+    (vm.$vnode && vm.$vnode.data.scopedSlots) // has old scoped slots
   )
 
   vm.$options._parentVnode = parentVnode
@@ -290,6 +325,13 @@ export function updateChildComponent (
   }
   vm.$options._renderChildren = renderChildren
 
+  // update $attrs and $listeners hash
+  // these are also reactive so they may trigger child update if the child
+  // used them during render
+  /*更新$attrs与$listeners，由于它们是响应式的，如果子组件在render中用到了它们，会触发子组件的更新*/
+  vm.$attrs = (parentVnode.data && parentVnode.data.attrs) || emptyObject
+  vm.$listeners = listeners || emptyObject
+
   // update props
   if (propsData && vm.$options.props) {
     observerState.shouldConvert = false
@@ -320,6 +362,10 @@ export function updateChildComponent (
     vm.$slots = resolveSlots(renderChildren, parentVnode.context)
     vm.$forceUpdate()
   }
+
+  if (process.env.NODE_ENV !== 'production') {
+    isUpdatingChildComponent = false
+  }
 }
 
 /*判断组件是否已经是active的*/
@@ -371,19 +417,73 @@ export function deactivateChildComponent (vm: Component, direct?: boolean) {
  * 调用钩子函数并且触发钩子事件，
  * @param {*} vm vue实例
  * @param {*} hook 被调用的生命周期钩子
+ * @param {*} args 传递给钩子函数的参数
  */
-export function callHook (vm: Component, hook: string) {
-  const handlers = vm.$options[hook]
+export function callHook (vm: Component, hook: string, args?: Array<any>) {
+  invokeHooks(vm, vm.$options[hook], hook, args)
+  /*通过onMounted等函数注册的钩子在选项中的钩子之后调用*/
+  if (vm._hooks) {
+    invokeHooks(vm, vm._hooks[hook], hook, args)
+  }
+  if (vm._hasHookEvent) {
+    vm.$emit('hook:' + hook)
+  }
+}
+
+/*依次调用钩子函数，钩子中抛出的错误交给handleError处理*/
+function invokeHooks (vm: Component, handlers: ?Array<Function>, hook: string, args?: Array<any>) {
   if (handlers) {
     for (let i = 0, j = handlers.length; i < j; i++) {
       try {
-        handlers[i].call(vm)
+        args ? handlers[i].apply(vm, args) : handlers[i].call(vm)
       } catch (e) {
         handleError(e, vm, `${hook} hook`)
       }
     }
   }
-  if (vm._hasHookEvent) {
-    vm.$emit('hook:' + hook)
+}
+
+/*设置当前正在初始化的实例并返回之前的实例*/
+export function setCurrentInstance (vm: ?Component): ?Component {
+  const prevInstance = currentInstance
+  currentInstance = vm
+  return prevInstance
+}
+
+/*获取当前正在初始化的实例*/
+export function getCurrentInstance (): ?Component {
+  return currentInstance
+}
+
+/*创建一个生命周期注册函数，将钩子注册到当前正在初始化的实例的vm._hooks中*/
+function createLifecycleHook (hook: string, name: string): Function {
+  return function (fn: Function, target?: Component = currentInstance) {
+    if (target) {
+      const hooks = target._hooks || (target._hooks = Object.create(null))
+      if (hooks[hook]) {
+        hooks[hook].push(fn)
+      } else {
+        hooks[hook] = [fn]
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(
+        `${name}() is called when there is no component instance being ` +
+        `initialized. Lifecycle registration functions can only be used ` +
+        `synchronously in setup() or the beforeCreate/created hooks, or with ` +
+        `an explicit target instance.`
+      )
+    }
   }
 }
+
+export const onBeforeMount = createLifecycleHook('beforeMount', 'onBeforeMount')
+export const onMounted = createLifecycleHook('mounted', 'onMounted')
+export const onBeforeUpdate = createLifecycleHook('beforeUpdate', 'onBeforeUpdate')
+export const onUpdated = createLifecycleHook('updated', 'onUpdated')
+export const onBeforeUnmount = createLifecycleHook('beforeDestroy', 'onBeforeUnmount')
+export const onUnmounted = createLifecycleHook('destroyed', 'onUnmounted')
+export const onActivated = createLifecycleHook('activated', 'onActivated')
+export const onDeactivated = createLifecycleHook('deactivated', 'onDeactivated')
+export const onErrorCaptured = createLifecycleHook('errorCaptured', 'onErrorCaptured')
+export const onRenderTracked = createLifecycleHook('renderTracked', 'onRenderTracked')
+export const onRenderTriggered = createLifecycleHook('renderTriggered', 'onRenderTriggered')
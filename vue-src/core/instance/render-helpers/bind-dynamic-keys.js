@@ -0,0 +1,36 @@
+/* @flow */
+
+import { warn } from 'core/util/index'
+
+/**
+ * Runtime helper for dynamic directive arguments, e.g. v-bind:[key]="value"
+ * and v-on:[event]="handler". The static keys are generated as an object
+ * literal, the dynamic ones as a flat [key, value, key, value] array.
+ */
+/*处理动态参数，将动态的key与对应的value合并到静态的对象中*/
+export function bindDynamicKeys (baseObj: Object, values: Array<any>): Object {
+  for (let i = 0; i < values.length; i += 2) {
+    const key = values[i]
+    if (typeof key === 'string' && key) {
+      baseObj[values[i]] = values[i + 1]
+    } else if (process.env.NODE_ENV !== 'production' && key !== '' && key !== null) {
+      // null is a special value for explicitly removing a binding
+      /*null用来显式地移除绑定，其余的非字符串值发出warning*/
+      warn(
+        `Invalid value for dynamic directive argument (expected string or null): ${key}`,
+        this
+      )
+    }
+  }
+  return baseObj
+}
+
+/**
+ * Helper to dynamically append modifier runtime markers to event names.
+ * ensure only append when value is already string, otherwise it will be cast
+ * to string and cause the type check to miss.
+ */
+/*为动态事件名加上capture、once、passive等修饰符对应的前缀标记*/
+export function prependModifier (value: any, symbol: string): any {
+  return typeof value === 'string' ? symbol + value : value
+}
@@ -1,17 +1,21 @@
 /* @flow */
 
 import config from 'core/config'
-import { isObject, warn, toObject } from 'core/util/index'
+import { isDef, isObject, warn, toObject, camelize } from 'core/util/index'
 
 /**
  * Runtime helper for merging v-bind="object" into a VNode's data.
  */
- /*合并v-bind指令到VNode中*/
+ /*
+  合并v-bind指令到VNode中，isSync为true时（v-bind.sync）为每一个key添加update:key事件监听，将新值写回value对象，
+  value为数组时写回数组中最后一个包含该key的对象（也就是提供了该值的对象）
+ */
 export function bindObjectProps (
   data: any,
   tag: string,
   value: any,
-  asProp?: boolean
+  asProp?: boolean,
+  isSync?: boolean
 ): VNodeData {
   if (value) {
     if (!isObject(value)) {
@@ -21,9 +25,10 @@ export function bindObjectProps (
         this
       )
     } else {
-      if (Array.isArray(value)) {
+      const sources = Array.isArray(value) ? value : null
+      if (sources) {
         /*合并Array数组中的每一个对象到一个新的Object中*/
-        value = toObject(value)
+        value = toObject(sources)
       }
       let hash
       for (const key in value) {
@@ -37,9 +42,30 @@ export function bindObjectProps (
         }
         if (!(key in hash)) {
           hash[key] = value[key]
+          if (isSync && hash !== data) {
+            const on = data.on || (data.on = {})
+            const event = `update:${camelize(key)}`
+            const target = sources ? findSyncTarget(sources, key) : value
+            const handler = function ($event) {
+              target[key] = $event
+            }
+            on[event] = isDef(on[event])
+              ? [handler].concat(on[event])
+              : handler
+          }
         }
       }
     }
   }
   return data
 }
+
+/*toObject中后面的对象会覆盖前面的对象，所以从后往前查找提供了该key的对象*/
+function findSyncTarget (sources: Array<any>, key: string): Object {
+  for (let i = sources.length - 1; i >= 0; i--) {
+    if (sources[i] && key in sources[i]) {
+      return sources[i]
+    }
+  }
+  return sources[sources.length - 1]
+}
@@ -13,7 +13,8 @@ export function renderSlot (
   bindObject: ?Object
 ): ?Array<VNode> {
   const scopedSlotFn = this.$scopedSlots[name]
-  if (scopedSlotFn) { // scoped slot
+  /*普通插槽同样会以函数的形式出现在$scopedSlots中，需要排除*/
+  if (scopedSlotFn && !scopedSlotFn.isNormalSlot) { // scoped slot
     props = props || {}
     if (bindObject) {
       extend(props, bindObject)
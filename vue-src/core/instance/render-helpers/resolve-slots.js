@@ -1,5 +1,7 @@
 /* @flow */
 
+import { hasOwn } from 'shared/util'
+
 /**
  * Runtime helper for resolving raw children VNodes into a slot object.
  */
@@ -42,11 +44,72 @@ function isWhitespace (node: VNode): boolean {
 
 /*处理ScopedSlots*/
 export function resolveScopedSlots (
-  fns: Array<[string, Function]>
+  fns: Array<[string, Function, ?boolean]>
 ): { [key: string]: Function } {
   const res = {}
   for (let i = 0; i < fns.length; i++) {
     res[fns[i][0]] = fns[i][1]
+    /*通过v-slot声明但是没有slot props的slot，同时需要暴露在$slots上*/
+    if (fns[i][2]) {
+      fns[i][1].proxy = true
+    }
   }
   return res
 }
+
+/**
+ * Runtime helper for exposing both scoped and normal slots as functions
+ * on $scopedSlots, so that a component only has to use one slot API.
+ */
+/**
+ * 生成组件的$scopedSlots
+ * 1、作用域插槽直接放入$scopedSlots，返回值统一成VNode数组
+ * 2、普通插槽包装成返回对应VNode数组的函数放入$scopedSlots
+ * 3、通过v-slot声明但没有slot props的插槽，同时以getter的方式暴露在$slots上
+ * @param {*} scopedSlots 父组件中声明的作用域插槽
+ * @param {*} normalSlots 组件的$slots
+ */
+export function normalizeScopedSlots (
+  scopedSlots: ?{ [key: string]: Function },
+  normalSlots: { [key: string]: Array<VNode> }
+): { [key: string]: Function } {
+  const res = {}
+  if (scopedSlots) {
+    for (const key in scopedSlots) {
+      const fn = scopedSlots[key]
+      res[key] = normalizeScopedSlot(fn)
+      if (fn.proxy && !hasOwn(normalSlots, key)) {
+        /*
+          不可枚举，避免_render中克隆$slots的时候对该属性进行赋值，
+          每次读取时都会重新调用slot函数生成VNode节点
+        */
+        Object.defineProperty(normalSlots, key, {
+          get: res[key],
+          enumerable: false,
+          configurable: true
+        })
+      }
+    }
+  }
+  for (const key in normalSlots) {
+    if (!(key in res)) {
+      res[key] = proxyNormalSlot(normalSlots, key)
+    }
+  }
+  return res
+}
+
+/*将作用域插槽的返回值统一成VNode数组*/
+function normalizeScopedSlot (fn: Function): Function {
+  return function normalized (props?: Object) {
+    const res = fn(props || {})
+    return res && !Array.isArray(res) ? [res] : res
+  }
+}
+
+/*普通插槽的函数形式，renderSlot通过isNormalSlot标记依旧按照普通插槽处理*/
+function proxyNormalSlot (slots: { [key: string]: Array<VNode> }, key: string): Function {
+  const fn: any = () => slots[key]
+  fn.isNormalSlot = true
+  return fn
+}
@@ -3,6 +3,7 @@
 import {
   warn,
   nextTick,
+  defineReactive,
   toNumber,
   toString,
   looseEqual,
@@ -14,30 +15,42 @@ import {
 import VNode, {
   cloneVNodes,
   createTextVNode,
-  createEmptyVNode
+  createEmptyVNode,
+  createFragmentVNode
 } from '../vdom/vnode'
 /*Github:https://github.com/answershuto*/
 import { createElement } from '../vdom/create-element'
+import { normalizeChildren } from '../vdom/helpers/normalize-children'
 import { renderList } from './render-helpers/render-list'
 import { renderSlot } from './render-helpers/render-slot'
 import { resolveFilter } from './render-helpers/resolve-filter'
 import { checkKeyCodes } from './render-helpers/check-keycodes'
 import { bindObjectProps } from './render-helpers/bind-object-props'
+import { bindDynamicKeys, prependModifier } from './render-helpers/bind-dynamic-keys'
 import { renderStatic, markOnce } from './render-helpers/render-static'
-import { resolveSlots, resolveScopedSlots } from './render-helpers/resolve-slots'
+import {
+  resolveSlots,
+  resolveScopedSlots,
+  normalizeScopedSlots
+} from './render-helpers/resolve-slots'
+import { isUpdatingChildComponent } from './lifecycle'
 
 /**
  * 初始化render
- * 设置了 _vnode属性、$slots属性、$scopedSlots属性、vm.$createElement方法
+ * 设置了 _vnode属性、$slots属性、$scopedSlots属性、vm.$createElement方法、$attrs属性与$listeners属性
  * @param {*} vm 
  */
 export function initRender (vm: Component) {
   vm._vnode = null // the root of the child tree
   vm._staticTrees = null
-  const parentVnode = vm.$vnode = vm.$options._parentVnode // the placeholder node in parent tree  父树中的占位符节点
+  const options = vm.$options
+  const parentVnode = vm.$vnode = options._parentVnode // the placeholder node in parent tree  父树中的占位符节点
   const renderContext = parentVnode && parentVnode.context
-  vm.$slots = resolveSlots(vm.$options._renderChildren, renderContext)
-  vm.$scopedSlots = emptyObject
+  vm.$slots = resolveSlots(options._renderChildren, renderContext)
+  vm.$scopedSlots = normalizeScopedSlots(
+    parentVnode && parentVnode.data && parentVnode.data.scopedSlots,
+    vm.$slots
+  )
   // bind the createElement fn to this instance
   // so that we get proper render context inside it.
   // args order: tag, data, children, normalizationType, alwaysNormalize
@@ -48,6 +61,26 @@ export function initRender (vm: Component) {
   // user-written render functions.
   /*常规方法呗用于公共版本，被用来作为用户界面的渲染方法*/
   vm.$createElement = (a, b, c, d) => createElement(vm, a, b, c, d, true)
+
+  // $attrs & $listeners are exposed for easier HOC creation.
+  // they need to be reactive so that HOCs using them are always updated
+  /*
+    $attrs存放父作用域中不作为prop被识别的attribute，$listeners存放父作用域中的v-on事件监听器，
+    方便创建透明的高阶组件，这两个属性只做浅层的响应式处理，只能在updateChildComponent中被更新
+  */
+  const parentData = parentVnode && parentVnode.data
+  /* istanbul ignore else */
+  if (process.env.NODE_ENV !== 'production') {
+    defineReactive(vm, '$attrs', (parentData && parentData.attrs) || emptyObject, () => {
+      !isUpdatingChildComponent && warn(`$attrs is readonly.`, vm)
+    }, true)
+    defineReactive(vm, '$listeners', options._parentListeners || emptyObject, () => {
+      !isUpdatingChildComponent && warn(`$listeners is readonly.`, vm)
+    }, true)
+  } else {
+    defineReactive(vm, '$attrs', (parentData && parentData.attrs) || emptyObject, null, true)
+    defineReactive(vm, '$listeners', options._parentListeners || emptyObject, null, true)
+  }
 }
 
 /**
@@ -84,8 +117,11 @@ export function renderMixin (Vue: Class<Component>) {
       }
     }
 
-    /*作用域slot*/
-    vm.$scopedSlots = (_parentVnode && _parentVnode.data.scopedSlots) || emptyObject
+    /*作用域slot，普通slot同样以函数的形式暴露在$scopedSlots上*/
+    vm.$scopedSlots = normalizeScopedSlots(
+      _parentVnode && _parentVnode.data.scopedSlots,
+      vm.$slots
+    )
 
     if (staticRenderFns && !vm._staticTrees) {
       /*用来存放static节点，已经被渲染的并且不存在v-for中的static节点不需要重新渲染，只需要进行浅拷贝*/
@@ -99,7 +135,10 @@ export function renderMixin (Vue: Class<Component>) {
     let vnode
     try {
       /* 调用render函数，返回一个VNode节点，返回的vnode在update里面进行patch */
-      vnode = render.call(vm._renderProxy, vm.$createElement)
+      /* 异步的setup/data尚未完成（或者失败）时渲染为空的注释节点，完成后由render watcher重新渲染 */
+      vnode = isAsyncInitPending(vm)
+        ? createEmptyVNode()
+        : render.call(vm._renderProxy, vm.$createElement)
     } catch (e) {
       handleError(e, vm, `render function`)
       // return error render result,
@@ -113,16 +152,17 @@ export function renderMixin (Vue: Class<Component>) {
         vnode = vm._vnode
       }
     }
+    // multiple root nodes are wrapped in a fragment vnode
+    /*render函数返回多个根节点时，用fragment节点包裹，只有一个节点时直接使用该节点*/
+    if (Array.isArray(vnode)) {
+      const children = normalizeChildren(vnode) || []
+      vnode = children.length === 1
+        ? children[0]
+        : createFragmentVNode(children)
+    }
     // return empty vnode in case the render function errored out
     /*如果VNode节点没有创建成功则创建一个空节点*/
     if (!(vnode instanceof VNode)) {
-      if (process.env.NODE_ENV !== 'production' && Array.isArray(vnode)) {
-        warn(
-          'Multiple root nodes returned from render function. Render function ' +
-          'should return a single root node.',
-          vm
-        )
-      }
       vnode = createEmptyVNode()
     }
     // set parent
@@ -165,4 +205,14 @@ export function renderMixin (Vue: Class<Component>) {
   Vue.prototype._e = createEmptyVNode
   /*处理ScopedSlots*/
   Vue.prototype._u = resolveScopedSlots
+  /*处理v-bind与v-on的动态参数*/
+  Vue.prototype._d = bindDynamicKeys
+  /*为动态事件名加上修饰符标记*/
+  Vue.prototype._p = prependModifier
+}
+
+/*读取vm._asyncInit的状态，会被render watcher收集为依赖*/
+function isAsyncInitPending (vm: Component): boolean {
+  const state = vm._asyncInit
+  return !!state && (state.pending > 0 || !!state.error)
 }
@@ -3,6 +3,7 @@
 import config from '../config'
 import Dep from '../observer/dep'
 import Watcher from '../observer/watcher'
+import { effectScope } from '../observer/effect-scope'
 /*Github:https://github.com/answershuto*/
 import {
   set,
@@ -20,6 +21,7 @@ import {
   isReserved,
   handleError,
   validateProp,
+  isThenable,
   isPlainObject
 } from '../util/index'
 
@@ -54,12 +56,14 @@ export function proxy (target: Object, sourceKey: string, key: string) {
 }
 
 /**
- * 初始化props、methods、data、computed与watch
+ * 初始化props、setup、methods、data、computed与watch
  * 1、initProps方法，将prop设置成响应式的，在get中设置好dep依赖收集，等待new Watcher的触发进行依赖收集，在set中设置好对watcher的update通知。将prop对象代理到vm实例中
- * 2、initMethods方法，将method代理到vue实例
- * 3、initData将data对象设置成响应式的，在get中设置好dep依赖收集，等待new Watcher的触发进行依赖收集，在set中设置好对watcher的update通知。将data对象代理到vm实例中
- * 4、initComputed将computed对象设置成响应式的，并且为computed对象的每一个key设置一个watcher。将computed对象代理到vm实例中
- * 5、initWatch将watch对象设置成响应式的，对watch对象的每一个属性调用vm.$watch方法，new一个watcher。
+ * 2、initSetup方法，调用setup选项，将其返回的绑定暴露到vue实例上
+ * 3、initMethods方法，将method代理到vue实例
+ * 4、initData将data对象设置成响应式的，在get中设置好dep依赖收集，等待new Watcher的触发进行依赖收集，在set中设置好对watcher的update通知。将data对象代理到vm实例中
+ * 5、initComputed将computed对象设置成响应式的，并且为computed对象的每一个key设置一个watcher。将computed对象代理到vm实例中
+ * 6、initWatch将watch对象设置成响应式的，对watch对象的每一个属性调用vm.$watch方法，new一个watcher。
+ * setup或data是异步的时候，computed与watch在其完成之后才初始化（见waitForAsyncInit），使其可以依赖异步得到的属性
  * @param {*} vm 
  */
 export function initState (vm: Component) {
@@ -69,6 +73,8 @@ export function initState (vm: Component) {
   const opts = vm.$options
   /*初始化props*/
   if (opts.props) initProps(vm, opts.props)
+  /*调用setup，在data之前执行*/
+  if (opts.setup) initSetup(vm, opts.setup)
   /*初始化方法*/
   if (opts.methods) initMethods(vm, opts.methods)
   /*初始化data*/
@@ -78,6 +84,13 @@ export function initState (vm: Component) {
     /*该组件没有data的时候绑定一个空对象*/
     observe(vm._data = {}, true /* asRootData */)
   }
+  if (!vm._asyncInit) {
+    initComputedAndWatch(vm)
+  }
+}
+
+function initComputedAndWatch (vm: Component) {
+  const opts = vm.$options
   /*初始化computed*/
   if (opts.computed) initComputed(vm, opts.computed)
   /*初始化watchers*/
@@ -160,6 +173,12 @@ function initData (vm: Component) {
     ? getData(data, vm)
     : data || {}
 
+  /*data返回Promise时先使用空对象，resolve之后再将结果设置到data上*/
+  if (isThenable(data)) {
+    waitForAsyncInit(vm, data, 'data()', value => setAsyncData(vm, value))
+    data = vm._data = {}
+  }
+
   /*对对象类型进行严格检查，只有当对象是纯javascript对象的时候返回true*/
   if (!isPlainObject(data)) {
     data = {}
@@ -172,22 +191,12 @@ function initData (vm: Component) {
   // proxy data on instance
   /*遍历data对象*/
   const keys = Object.keys(data)
-  const props = vm.$options.props
   let i = keys.length
 
   //遍历data中的数据
   while (i--) {
-
-    /*保证data中的key不与props中的key重复，props优先，如果有冲突会产生warning*/
-    if (props && hasOwn(props, keys[i])) {
-      process.env.NODE_ENV !== 'production' && warn(
-        `The data property "${keys[i]}" is already declared as a prop. ` +
-        `Use prop default value instead.`,
-        vm
-      )
-    } else if (!isReserved(keys[i])) {
-      /*判断是否是保留字段*/
-
+    /*保证data中的key不与props、methods以及setup返回的绑定冲突，并且不是保留字段*/
+    if (isValidDataKey(vm, keys[i])) {
       /*这里是我们前面讲过的代理，将data上面的属性代理到了vm实例上*/
       proxy(vm, `_data`, keys[i])
     }
@@ -197,6 +206,96 @@ function initData (vm: Component) {
   observe(data, true /* asRootData */)
 }
 
+/*
+  检查data中的key是否可以被代理到vm实例上：
+  与props、methods或者setup返回的绑定冲突时发出warning（props、methods以及setup的绑定优先），保留字段不会被代理
+*/
+function isValidDataKey (vm: Component, key: string): boolean {
+  const { props, methods } = vm.$options
+  if (props && hasOwn(props, key)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `The data property "${key}" is already declared as a prop. ` +
+      `Use prop default value instead.`,
+      vm
+    )
+    return false
+  }
+  if (methods && hasOwn(methods, key)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Method "${key}" has already been defined as a data property.`,
+      vm
+    )
+    return false
+  }
+  if (vm._setupState && hasOwn(vm._setupState, key)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `The data property "${key}" is already returned from setup().`,
+      vm
+    )
+    return false
+  }
+  return !isReserved(key)
+}
+
+/*
+  异步data resolve之后将其中的属性设置成响应式的并代理到vm实例上，
+  与同步的data不同，冲突的key不会被设置到vm._data上，避免覆盖已有的响应式属性
+*/
+function setAsyncData (vm: Component, value: any) {
+  if (!isPlainObject(value)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      'async data functions should resolve to an object.',
+      vm
+    )
+    return
+  }
+  const data = vm._data
+  const keys = Object.keys(value)
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i]
+    if (isValidDataKey(vm, key)) {
+      defineReactive(data, key, value[key])
+      proxy(vm, `_data`, key)
+    }
+  }
+}
+
+/**
+ * 等待setup或data返回的Promise
+ * vm._asyncInit.pending记录实例上尚未完成的Promise的数量，在全部完成之前实例被渲染为一个空的注释节点，
+ * 外层的<suspense>也会等待其完成。全部完成之后才初始化computed与watch选项，
+ * 在此之前通过vm.$watch观察异步得到的属性不会生效。
+ * reject时由handleError交给errorCaptured钩子以及全局的errorHandler处理，
+ * 实例会一直渲染为空的注释节点，computed与watch也不会被初始化。实例在resolve之前被销毁的话结果会被丢弃。
+ * @param {*} vm 
+ * @param {Promise} promise setup或data返回的Promise
+ * @param {string} hook 用于错误信息的钩子名
+ * @param {Function} apply resolve之后应用结果的函数
+ */
+function waitForAsyncInit (vm: Component, promise: any, hook: string, apply: Function) {
+  let state = vm._asyncInit
+  if (!state) {
+    state = vm._asyncInit = { pending: 0, error: null }
+    observe(state)
+  }
+  state.pending++
+  promise.then(value => {
+    if (vm._isDestroyed) return
+    apply(value)
+    // computed and watch depend on the resolved state, so they are set up
+    // before the instance is re-rendered
+    if (state.pending === 1 && !state.error) {
+      initComputedAndWatch(vm)
+    }
+    state.pending--
+  }, err => {
+    if (vm._isDestroyed) return
+    state.error = err
+    state.pending--
+    handleError(err, vm, `async ${hook}`)
+  })
+}
+
 function getData (data: Function, vm: Component): any {
   try {
     return data.call(vm)
@@ -216,7 +315,8 @@ const computedWatcherOptions = { lazy: true }
  * @param {*} computed opt.computed
  */
 function initComputed (vm: Component, computed: Object) {
-  const watchers = vm._computedWatchers = Object.create(null)
+  // computed bindings returned from setup() may have created this already
+  const watchers = vm._computedWatchers || (vm._computedWatchers = Object.create(null))
 
   for (const key in computed) {
     const userDef = computed[key]
@@ -235,12 +335,28 @@ function initComputed (vm: Component, computed: Object) {
         getter = noop
       }
     }
-    // create internal watcher for the computed property.
-    /*
-      为每一个计算属性创建一个内部的监视器Watcher，保存在vm实例的_computedWatchers中
-      这里的computedWatcherOptions参数传递了一个lazy为true，不会立即进行依赖收集
-    */
-    watchers[key] = new Watcher(vm, getter, noop, computedWatcherOptions)
+    if (isAsyncComputed(userDef)) {
+      /*异步计算属性不使用lazy watcher，而是立即求值并在Promise resolve之后更新结果*/
+      initAsyncComputed(vm, key, userDef, getter)
+    } else {
+      // create internal watcher for the computed property.
+      /*
+        为每一个计算属性创建一个内部的监视器Watcher，保存在vm实例的_computedWatchers中
+        这里的computedWatcherOptions参数传递了一个lazy为true，不会立即进行依赖收集
+      */
+      let watcherOptions = computedWatcherOptions
+      /*开发环境下计算属性可以设置onTrack与onTrigger调试回调*/
+      if (process.env.NODE_ENV !== 'production' &&
+        typeof userDef !== 'function' && (userDef.onTrack || userDef.onTrigger)
+      ) {
+        watcherOptions = {
+          lazy: true,
+          onTrack: userDef.onTrack && bind(userDef.onTrack, vm),
+          onTrigger: userDef.onTrigger && bind(userDef.onTrigger, vm)
+        }
+      }
+      watchers[key] = new Watcher(vm, getter, noop, watcherOptions)
+    }
 
     // component-defined computed properties are already defined on the
     // component prototype. We only need to define computed properties defined
@@ -268,7 +384,15 @@ function initComputed (vm: Component, computed: Object) {
  * @param {(Object | Function)} userDef 用户自定义getter or setter 
  */
 export function defineComputed (target: any, key: string, userDef: Object | Function) {
-  if (typeof userDef === 'function') {
+  if (isAsyncComputed(userDef)) {
+    /*异步计算属性从vm._asyncComputed中读取当前结果，不允许被直接赋值*/
+    sharedPropertyDefinition.get = createAsyncComputedGetter(key)
+    sharedPropertyDefinition.set = process.env.NODE_ENV !== 'production'
+      ? function () {
+        warn(`Async computed property "${key}" is readonly.`, this)
+      }
+      : noop
+  } else if (typeof userDef === 'function') {
     /*创建计算属性的getter*/
     sharedPropertyDefinition.get = createComputedGetter(key)
     /*
@@ -311,6 +435,183 @@ function createComputedGetter (key) {
   }
 }
 
+/*判断是否是设置了async: true的异步计算属性*/
+function isAsyncComputed (userDef: Object | Function): boolean {
+  return typeof userDef !== 'function' && userDef.async === true
+}
+
+/**
+ * 初始化异步计算属性
+ * 异步计算属性的getter返回一个Promise（返回非Promise的值时直接作为结果），
+ * 其状态保存在响应式的vm._asyncComputed[key]中：
+ *  value: 最近一次resolve的值，在第一次resolve之前为default
+ *  pending: 是否有尚未完成的Promise
+ *  error: 最近一次reject的错误
+ * 依赖发生变化时getter被重新执行，之前尚未完成的Promise的结果会被丢弃，
+ * 同时getter通过参数onCancel注册的取消函数会被调用，用来中断过期的请求。
+ * @param {*} vm 
+ * @param {string} key 计算属性名
+ * @param {Object} userDef 用户定义的计算属性
+ * @param {Function} getter 用户定义的get函数
+ */
+function initAsyncComputed (vm: Component, key: string, userDef: Object, getter: Function) {
+  const asyncComputed = vm._asyncComputed || (vm._asyncComputed = {})
+  const defaultValue = userDef.default
+  const state = asyncComputed[key] = {
+    value: typeof defaultValue === 'function' ? defaultValue.call(vm) : defaultValue,
+    pending: false,
+    error: null
+  }
+  observe(state)
+
+  /*每次重新求值时自增，用来判断resolve的结果是否已经过期*/
+  let id = 0
+  let cancel = null
+  const onCancel = (fn: Function) => {
+    cancel = fn
+  }
+  const invalidate = () => {
+    if (cancel) {
+      const fn = cancel
+      cancel = null
+      fn()
+    }
+  }
+
+  const resolve = (result: any) => {
+    const current = ++id
+    if (!isThenable(result)) {
+      state.value = result
+      state.pending = false
+      state.error = null
+      return
+    }
+    state.pending = true
+    result.then(value => {
+      /*依赖已经变化或者实例已经被销毁时丢弃该结果*/
+      if (current === id && watcher.active) {
+        cancel = null
+        state.value = value
+        state.pending = false
+        state.error = null
+      }
+    }, err => {
+      if (current === id && watcher.active) {
+        cancel = null
+        state.error = err
+        state.pending = false
+        handleError(err, vm, `async computed property "${key}"`)
+      }
+    })
+  }
+
+  const watcher = new Watcher(vm, function evaluateAsyncComputed () {
+    /*重新求值之前取消上一次尚未完成的请求*/
+    invalidate()
+    return getter.call(vm, onCancel)
+  }, resolve, {
+    user: true,
+    /*watcher被销毁（包括实例销毁）时取消尚未完成的请求*/
+    onStop: invalidate
+  })
+  resolve(watcher.value)
+}
+
+/*创建异步计算属性的getter，依赖收集由state上的响应式属性完成*/
+function createAsyncComputedGetter (key) {
+  return function asyncComputedGetter () {
+    const state = this._asyncComputed && this._asyncComputed[key]
+    if (state) {
+      return state.value
+    }
+  }
+}
+
+/**
+ * 初始化setup选项
+ * setup(props, context)在data之前被调用，可以把同一个功能相关的响应式状态、计算属性、watcher等组织在一起。
+ * setup中创建的watcher、effect scope以及通过onScopeDispose注册的清理函数会被收集到vm._scope中，在实例销毁时一起销毁。
+ * 返回值为函数时作为该实例的render函数；返回值为对象时其中的绑定被暴露到vm实例上，可以在模板以及render函数中使用：
+ *  getter（可以带有setter）: 作为计算属性
+ *  函数: 作为方法
+ *  其他值: 作为响应式的状态，与data相同
+ * setup也可以是async函数，返回的Promise resolve之后再应用上面的结果，此前实例被渲染为空的注释节点（见waitForAsyncInit）。
+ * 第一个await之后创建的watcher以及注册的生命周期钩子不会被收集到该实例上。
+ * @param {*} vm 
+ * @param {Function} setup 
+ */
+function initSetup (vm: Component, setup: Function) {
+  const context = {
+    emit: bind(vm.$emit, vm),
+    watch: bind(vm.$watch, vm)
+  }
+  // attrs, listeners and slots are replaced on every parent update
+  Object.defineProperties(context, {
+    attrs: { get: () => vm.$attrs },
+    listeners: { get: () => vm.$listeners },
+    slots: { get: () => vm.$scopedSlots }
+  })
+
+  const scope = vm._scope = effectScope(true /* detached */)
+  let result
+  try {
+    result = scope.run(() => setup(vm._props || {}, context))
+  } catch (e) {
+    handleError(e, vm, `setup()`)
+    return
+  }
+
+  if (isThenable(result)) {
+    waitForAsyncInit(vm, result, 'setup()', value => applySetupResult(vm, value))
+  } else {
+    applySetupResult(vm, result)
+  }
+}
+
+/*将setup的返回值应用到实例上*/
+function applySetupResult (vm: Component, result: any) {
+  if (typeof result === 'function') {
+    /*$options是实例自身的，直接替换render不会影响其他实例*/
+    vm.$options.render = result
+  } else if (isPlainObject(result)) {
+    const setupState = vm._setupState = {}
+    const props = vm.$options.props
+    const keys = Object.keys(result)
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i]
+      if (process.env.NODE_ENV !== 'production') {
+        if (props && hasOwn(props, key)) {
+          warn(`setup() binding "${key}" is already declared as a prop.`, vm)
+          continue
+        }
+        if (isReserved(key)) {
+          warn(`setup() binding "${key}" cannot start with "$" or "_".`, vm)
+          continue
+        }
+      }
+      const desc: any = Object.getOwnPropertyDescriptor(result, key)
+      if (desc.get) {
+        /*getter作为计算属性，复用计算属性的watcher以及缓存*/
+        const userDef = { get: desc.get, set: desc.set }
+        const watchers = vm._computedWatchers || (vm._computedWatchers = Object.create(null))
+        watchers[key] = new Watcher(vm, desc.get, noop, computedWatcherOptions)
+        defineComputed(vm, key, userDef)
+        setupState[key] = userDef
+      } else if (typeof desc.value === 'function') {
+        vm[key] = setupState[key] = desc.value
+      } else {
+        defineReactive(setupState, key, desc.value)
+        proxy(vm, `_setupState`, key)
+      }
+    }
+  } else if (process.env.NODE_ENV !== 'production' && result !== undefined) {
+    warn(
+      `setup() should return an object or a render function, got: ${String(result)}`,
+      vm
+    )
+  }
+}
+
 /**
  * 初始化方法，主要做了两件事：
  * 1、将所有的method上下文替换成当前vue实例，绑定this
@@ -338,6 +639,13 @@ function initMethods (vm: Component, methods: Object) {
           vm
         )
       }
+      /*与setup返回的绑定名称冲突报出warning*/
+      if (vm._setupState && hasOwn(vm._setupState, key)) {
+        warn(
+          `method "${key}" has already been returned from setup().`,
+          vm
+        )
+      }
     }
   }
 }
@@ -417,6 +725,16 @@ export function stateMixin (Vue: Class<Component>) {
   Object.defineProperty(Vue.prototype, '$data', dataDef)
   Object.defineProperty(Vue.prototype, '$props', propsDef)
 
+  /*vm.$asyncComputed[key]可以读取异步计算属性的pending与error状态*/
+  const asyncComputedDef = {}
+  asyncComputedDef.get = function () { return this._asyncComputed || {} }
+  if (process.env.NODE_ENV !== 'production') {
+    asyncComputedDef.set = function () {
+      warn(`$asyncComputed is readonly.`, this)
+    }
+  }
+  Object.defineProperty(Vue.prototype, '$asyncComputed', asyncComputedDef)
+
   /*
     https://cn.vuejs.org/v2/api/#vm-set
     用以将data之外的对象绑定成响应式的
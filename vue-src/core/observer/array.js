@@ -56,7 +56,11 @@ export const arrayMethods = Object.create(arrayProto)
       
     // notify change
     /*dep通知所有注册的观察者进行响应式处理*/
-    ob.dep.notify()
+    if (process.env.NODE_ENV !== 'production') {
+      ob.dep.notify({ target: this, type: 'array mutation', key: method })
+    } else {
+      ob.dep.notify()
+    }
     return result
   })
 })
@@ -0,0 +1,193 @@
+/*
+ * not type checking this file because flow doesn't play well with
+ * dynamically accessing methods on Map/Set prototype
+ */
+import Dep from './dep'
+import { def } from '../util/index'
+
+/*
+  与array.js相同的思路，创建继承自原生Map/Set原型的对象，重写其上的方法，
+  读取类的方法（get、has、size、forEach以及迭代器）进行依赖收集，
+  修改类的方法（set、add、delete、clear）通知所有观察者。
+  由于重写的方法内部依旧在原生Map/Set实例上调用原生方法，所以不会破坏其内部插槽。
+*/
+const hasMap = typeof Map !== 'undefined'
+const hasSet = typeof Set !== 'undefined'
+
+export const mapMethods = hasMap ? Object.create(Map.prototype) : null
+export const setMethods = hasSet ? Object.create(Set.prototype) : null
+
+/**
+ * Collect dependencies when the collection is read. Values that are
+ * themselves observed also have their own dep touched, the same way
+ * dependArray does for nested arrays.
+ */
+/*集合被读取时进行依赖收集*/
+function track (collection, type, key) {
+  if (Dep.target) {
+    if (process.env.NODE_ENV !== 'production') {
+      collection.__ob__.dep.depend({ target: collection, type, key })
+    } else {
+      collection.__ob__.dep.depend()
+    }
+  }
+}
+
+/*集合被修改时通知所有观察者*/
+function trigger (collection, type, key, newValue) {
+  if (process.env.NODE_ENV !== 'production') {
+    collection.__ob__.dep.notify({ target: collection, type, key, newValue })
+  } else {
+    collection.__ob__.dep.notify()
+  }
+}
+
+/*对读取出的成员进行依赖收集，保证成员自身通过Vue.set添加属性时也能被追踪*/
+function trackValue (value) {
+  if (Dep.target && value && value.__ob__) {
+    value.__ob__.dep.depend()
+  }
+  return value
+}
+
+/*重写读取类方法，在调用原生方法前进行依赖收集*/
+function defineReader (target, proto, method, type) {
+  const original = proto[method]
+  def(target, method, function reader (key) {
+    track(this, type, key)
+    return original.apply(this, arguments)
+  })
+}
+
+/*重写size属性的getter*/
+function defineSize (target, proto) {
+  const getSize = Object.getOwnPropertyDescriptor(proto, 'size').get
+  Object.defineProperty(target, 'size', {
+    enumerable: false,
+    configurable: true,
+    get: function size () {
+      track(this, 'iterate')
+      return getSize.call(this)
+    }
+  })
+}
+
+/*重写clear方法，集合本身不为空时才通知观察者*/
+function defineClear (target, proto) {
+  const original = proto.clear
+  def(target, 'clear', function clear () {
+    const hadItems = this.size > 0
+    const result = original.call(this)
+    if (hadItems) {
+      trigger(this, 'clear')
+    }
+    return result
+  })
+}
+
+/*重写delete方法，确实删除了成员时才通知观察者*/
+function defineDelete (target, proto) {
+  const original = proto.delete
+  def(target, 'delete', function _delete (key) {
+    const result = original.call(this, key)
+    if (result) {
+      trigger(this, 'delete', key)
+    }
+    return result
+  })
+}
+
+const hasIterator = typeof Symbol !== 'undefined' && Symbol.iterator
+
+/*
+  重写返回迭代器的方法，返回的迭代器在每次next时对迭代出的成员进行依赖收集，
+  isEntries为true时迭代出的是[key, value]，对key与value都进行依赖收集
+*/
+function defineIterator (target, proto, method, isEntries) {
+  const original = proto[method]
+  def(target, method, function iterator () {
+    track(this, 'iterate')
+    const inner = original.call(this)
+    const wrapped = {
+      next () {
+        const res = inner.next()
+        if (!res.done) {
+          if (isEntries) {
+            trackValue(res.value[0])
+            trackValue(res.value[1])
+          } else {
+            trackValue(res.value)
+          }
+        }
+        return res
+      }
+    }
+    if (hasIterator) {
+      wrapped[Symbol.iterator] = function () {
+        return this
+      }
+    }
+    return wrapped
+  })
+}
+
+/*迭代类方法，forEach会在回调中对每一个成员进行依赖收集，迭代器会在迭代时对每一个成员进行依赖收集*/
+function defineCommon (target, proto, isMap) {
+  defineIterator(target, proto, 'keys', false)
+  defineIterator(target, proto, 'values', false)
+  defineIterator(target, proto, 'entries', true)
+  if (hasIterator) {
+    /*Map的默认迭代器与entries相同，Set的默认迭代器与values相同*/
+    defineIterator(target, proto, Symbol.iterator, isMap)
+  }
+  const forEach = proto.forEach
+  def(target, 'forEach', function (cb, thisArg) {
+    track(this, 'iterate')
+    return forEach.call(this, function (value, key, collection) {
+      cb.call(thisArg, trackValue(value), key, collection)
+    })
+  })
+  defineSize(target, proto)
+  defineClear(target, proto)
+  defineDelete(target, proto)
+}
+
+if (hasMap) {
+  const mapProto = Map.prototype
+  defineCommon(mapMethods, mapProto, true)
+  defineReader(mapMethods, mapProto, 'has', 'has')
+
+  def(mapMethods, 'get', function get (key) {
+    track(this, 'get', key)
+    return trackValue(mapProto.get.call(this, key))
+  })
+
+  def(mapMethods, 'set', function set (key, val) {
+    const had = mapProto.has.call(this, key)
+    const old = mapProto.get.call(this, key)
+    mapProto.set.call(this, key, val)
+    /* eslint-disable no-self-compare */
+    if (!had || !(val === old || (val !== val && old !== old))) {
+    /* eslint-enable no-self-compare */
+      /*新设置的值需要进行observe才能响应式*/
+      this.__ob__.observeCollection([val])
+      trigger(this, had ? 'set' : 'add', key, val)
+    }
+    return this
+  })
+}
+
+if (hasSet) {
+  const setProto = Set.prototype
+  defineCommon(setMethods, setProto, false)
+  defineReader(setMethods, setProto, 'has', 'has')
+
+  def(setMethods, 'add', function add (value) {
+    if (!setProto.has.call(this, value)) {
+      setProto.add.call(this, value)
+      this.__ob__.observeCollection([value])
+      trigger(this, 'add', value, value)
+    }
+    return this
+  })
+}
@@ -1,7 +1,21 @@
 /* @flow */
 
 import type Watcher from './watcher'
-import { remove } from '../util/index'
+import { remove, extend } from '../util/index'
+
+/*
+  开发环境下依赖收集与通知时传递给onTrack/onTrigger的调试信息
+  target: 被读取或修改的对象
+  type: 操作类型，如get、set、add、delete、array mutation等
+  key: 被读取或修改的key
+*/
+export type DepDebugInfo = {
+  target: any;
+  type: string;
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+};
 
 let uid = 0
 /*Github:https://github.com/answershuto*/
@@ -32,19 +46,23 @@ export default class Dep {
     remove(this.subs, sub)
   }
 
-  /*依赖收集，当存在Dep.target的时候添加观察者对象*/
-  depend () {
+  /*依赖收集，当存在Dep.target的时候添加观察者对象，info在开发环境下会被报告给watcher的onTrack回调*/
+  depend (info?: DepDebugInfo) {
     if (Dep.target) {
       // 在Watcher实例中判断是否应该将watcher实例添加到dep实例中，避免重复收集依赖
-      Dep.target.addDep(this)
+      Dep.target.addDep(this, info)
     }
   }
 
   /*通知所有订阅者*/
-  notify () {
+  notify (info?: DepDebugInfo) {
     // stabilize the subscriber list first
     const subs = this.subs.slice()
     for (let i = 0, l = subs.length; i < l; i++) {
+      /*开发环境下将触发本次更新的操作报告给watcher的onTrigger回调*/
+      if (process.env.NODE_ENV !== 'production' && info && subs[i].onTrigger) {
+        subs[i].onTrigger(extend({ effect: subs[i] }, info))
+      }
       subs[i].update()
     }
   }
@@ -58,7 +76,7 @@ Dep.target = null
 const targetStack = []
 
 /*将watcher观察者实例设置给Dep.target，用以依赖收集。同时将该实例存入target栈中*/
-export function pushTarget (_target: Watcher) {
+export function pushTarget (_target: ?Watcher) {
   if (Dep.target) targetStack.push(Dep.target)
   Dep.target = _target
 }
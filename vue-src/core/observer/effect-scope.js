@@ -0,0 +1,122 @@
+/* @flow */
+
+import type Watcher from './watcher'
+import { warn } from '../util/index'
+
+/*当前正在执行run方法的作用域，在其中创建的watcher会被收集到该作用域中*/
+let activeEffectScope: ?EffectScope = null
+
+/**
+ * 副作用作用域，用来收集在其run方法中创建的watcher（包括通过vm.$watch创建的watcher），
+ * 以便在组件之外（如插件、store模块、服务模块中）统一销毁它们。
+ * 非detached的作用域会被收集到外层作用域中，外层作用域被stop时会一起被stop。
+ */
+export class EffectScope {
+  active: boolean;
+  // 作用域中收集到的watcher
+  effects: Array<Watcher>;
+  // 通过onScopeDispose注册的清理函数
+  cleanups: Array<Function>;
+  // 嵌套的子作用域
+  scopes: Array<EffectScope>;
+  parent: ?EffectScope;
+
+  constructor (detached?: boolean) {
+    this.active = true
+    this.effects = []
+    this.cleanups = []
+    this.scopes = []
+    this.parent = null
+    if (!detached && activeEffectScope) {
+      this.parent = activeEffectScope
+      activeEffectScope.scopes.push(this)
+    }
+  }
+
+  /*在该作用域中执行fn，fn执行期间创建的watcher以及子作用域都会被该作用域收集*/
+  run (fn: Function): any {
+    if (this.active) {
+      const prevScope = activeEffectScope
+      activeEffectScope = this
+      try {
+        return fn()
+      } finally {
+        activeEffectScope = prevScope
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(`Cannot run an inactive effect scope.`)
+    }
+  }
+
+  /*销毁作用域中所有的watcher、子作用域，并调用所有清理函数*/
+  stop () {
+    if (this.active) {
+      let i
+      for (i = 0; i < this.effects.length; i++) {
+        this.effects[i].teardown()
+      }
+      for (i = 0; i < this.cleanups.length; i++) {
+        this.cleanups[i]()
+      }
+      /*子作用域stop时会将自身从父作用域中移除，所以这里先复制一份*/
+      const scopes = this.scopes.slice()
+      for (i = 0; i < scopes.length; i++) {
+        scopes[i].stop()
+      }
+      /*将自身从父作用域中移除，避免父作用域持有已经销毁的作用域*/
+      if (this.parent && this.parent.active) {
+        const siblings = this.parent.scopes
+        const index = siblings.indexOf(this)
+        if (index > -1) {
+          siblings.splice(index, 1)
+        }
+      }
+      this.effects.length = this.cleanups.length = this.scopes.length = 0
+      this.parent = null
+      this.active = false
+    }
+  }
+}
+
+/**
+ * 创建一个副作用作用域
+ * @param {?boolean} detached 为true时不会被外层作用域收集
+ */
+export function effectScope (detached?: boolean): EffectScope {
+  return new EffectScope(detached)
+}
+
+/*获取当前正在执行的作用域*/
+export function getCurrentScope (): ?EffectScope {
+  return activeEffectScope
+}
+
+/*在当前作用域中注册一个清理函数，作用域被stop时调用*/
+export function onScopeDispose (fn: Function) {
+  if (activeEffectScope) {
+    activeEffectScope.cleanups.push(fn)
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `onScopeDispose() is called when there is no active effect scope ` +
+      `to be associated with.`
+    )
+  }
+}
+
+/*将watcher收集到当前作用域中，在Watcher的构造函数中被调用*/
+export function recordEffectScope (effect: Watcher) {
+  if (activeEffectScope && activeEffectScope.active) {
+    activeEffectScope.effects.push(effect)
+  }
+}
+
+/**
+ * 设置当前作用域并返回之前的作用域
+ * 组件内部创建的watcher（render watcher、计算属性以及watch选项）由组件自己的$destroy负责销毁，
+ * 所以创建它们的时候会暂时将当前作用域置空，避免被外部作用域收集。
+ */
+export function setActiveEffectScope (scope: ?EffectScope): ?EffectScope {
+  const prevScope = activeEffectScope
+  activeEffectScope = scope
+  return prevScope
+}
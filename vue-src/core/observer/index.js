@@ -2,8 +2,12 @@
 
 import Dep from './dep'
 import { arrayMethods } from './array'
+import { mapMethods, setMethods } from './collection'
+import { isReadonly } from './readonly'
 import {
   def,
+  isMap,
+  isSet,
   isObject,
   isPlainObject,
   hasProto,
@@ -42,12 +46,15 @@ export class Observer {
   // 依赖收集对象
   dep: Dep;
   vmCount: number; // number of vms that has this object as root $data
+  // 浅层响应式，为true时只有value自身的key是响应式的，不会对嵌套的值进行observe
+  shallow: boolean;
 
-  constructor (value: any) {
+  constructor (value: any, shallow?: boolean) {
     this.value = value
     // 依赖收集对象
     this.dep = new Dep()
     this.vmCount = 0
+    this.shallow = !!shallow
     /* 
     将Observer实例绑定到data的__ob__属性上面去，之前说过observe的时候会先检测是否已经有__ob__对象存放Observer实例了，def方法定义可以参考https://github.com/vuejs/vue/blob/dev/src/core/util/lang.js#L16 
     */
@@ -65,6 +72,13 @@ export class Observer {
 
       /*如果是数组则需要遍历数组的每一个成员进行observe*/
       this.observeArray(value)
+    } else if (isMap(value) || isSet(value)) {
+      /*
+        如果是Map或者Set，用重写了读写方法的对象替换其原型，
+        读取时进行依赖收集，修改时通知观察者，并对集合中的每一个值进行observe
+      */
+      protoAugment(value, isMap(value) ? mapMethods : setMethods)
+      this.observeCollection(value)
     } else {
       /*如果是对象则直接walk进行绑定*/
       this.walk(value)
@@ -85,7 +99,7 @@ export class Observer {
     const keys = Object.keys(obj)
     /*walk方法会遍历对象的每一个属性进行defineReactive绑定*/
     for (let i = 0; i < keys.length; i++) {
-      defineReactive(obj, keys[i], obj[keys[i]])
+      defineReactive(obj, keys[i], obj[keys[i]], null, this.shallow)
     }
   }
 
@@ -94,11 +108,24 @@ export class Observer {
    */
    /*对一个数组的每一个成员进行observe*/
   observeArray (items: Array<any>) {
+    /*浅层响应式不对成员进行observe*/
+    if (this.shallow) return
     for (let i = 0, l = items.length; i < l; i++) {
       /*数组需要遍历每一个成员进行observe*/
       observe(items[i])
     }
   }
+
+  /**
+   * Observe the values of a Map, Set or any iterable of values.
+   */
+  /*对Map的每一个值或者Set的每一个成员进行observe*/
+  observeCollection (items: any) {
+    if (this.shallow) return
+    items.forEach(item => {
+      observe(item)
+    })
+  }
 }
 
 // helpers
@@ -140,9 +167,10 @@ function copyAugment (target: Object, src: Object, keys: Array<string>) {
  * @export
  * @param {*} value 被观察的对象
  * @param {?boolean} asRootData 是否作为root数据
+ * @param {?boolean} shallow 是否只进行浅层的observe，对已经被observe过的对象不生效
  * @returns {(Observer | void)} 观察该数据的ob对象
  */
-export function observe (value: any, asRootData: ?boolean): Observer | void {
+export function observe (value: any, asRootData: ?boolean, shallow?: boolean): Observer | void {
   if (!isObject(value)) {
     return
   }
@@ -157,11 +185,13 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
     */
     observerState.shouldConvert &&
     !isServerRendering() &&
-    (Array.isArray(value) || isPlainObject(value)) &&
+    (Array.isArray(value) || isPlainObject(value) || isMap(value) || isSet(value)) &&
     Object.isExtensible(value) &&
-    !value._isVue
+    !value._isVue &&
+    /*只读视图通过getter读取原对象，本身不需要进行observe*/
+    !isReadonly(value)
   ) {
-    ob = new Observer(value)
+    ob = new Observer(value, shallow)
   }
   if (asRootData && ob) {
      /*如果是根数据则计数，后面Observer中的observe的asRootData非true*/
@@ -180,12 +210,14 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
  * @param {string} key 被定义成响应式的key属性
  * @param {*} val obj[key]对应的原值
  * @param {Function} [customSetter] 自定义setter。
+ * @param {boolean} [shallow] 为true时只对key本身进行响应式处理，不会深度observe其值
  */
 export function defineReactive (
   obj: Object,
   key: string,
   val: any,
-  customSetter?: Function
+  customSetter?: ?Function,
+  shallow?: boolean
 ) {
   /**
    * 在闭包中定义一个dep对象，为被观察者对象的每一个key都定义一个dep对象
@@ -206,7 +238,7 @@ export function defineReactive (
   const setter = property && property.set
 
   /* 对象的子对象递归进行observe并返回子节点的Observer对象，这段话确保了data对象的子对象全部都是被观察的 */
-  let childOb = observe(val)
+  let childOb = !shallow && observe(val)
   Object.defineProperty(obj, key, {
     enumerable: true,
     configurable: true,
@@ -216,7 +248,11 @@ export function defineReactive (
       // Dep.target到底是什么时候设置的？？
       if (Dep.target) {
         /*进行依赖收集*/
-        dep.depend()
+        if (process.env.NODE_ENV !== 'production') {
+          dep.depend({ target: obj, type: 'get', key })
+        } else {
+          dep.depend()
+        }
         if (childOb) {
           /**
            * 子对象进行依赖收集，其实就是将同一个watcher观察者实例放进了两个depend中，
@@ -250,9 +286,13 @@ export function defineReactive (
         val = newVal
       }
       /*新的值需要重新进行observe，保证数据响应式*/
-      childOb = observe(newVal)
+      childOb = !shallow && observe(newVal)
       /*dep对象通知所有的观察者*/
-      dep.notify()
+      if (process.env.NODE_ENV !== 'production') {
+        dep.notify({ target: obj, type: 'set', key, newValue: newVal, oldValue: value })
+      } else {
+        dep.notify()
+      }
     }
   })
 }
@@ -297,8 +337,12 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
     return val
   }
   /*为对象defineProperty上在变化时通知的属性*/
-  defineReactive(ob.value, key, val)
-  ob.dep.notify()
+  defineReactive(ob.value, key, val, null, ob.shallow)
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ target, type: 'add', key, newValue: val })
+  } else {
+    ob.dep.notify()
+  }
   return val
 }
 
@@ -325,7 +369,11 @@ export function del (target: Array<any> | Object, key: any) {
   if (!ob) {
     return
   }
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ target, type: 'delete', key })
+  } else {
+    ob.dep.notify()
+  }
 }
 
 /**
@@ -0,0 +1,216 @@
+/* @flow */
+
+import {
+  def,
+  warn,
+  isMap,
+  isSet,
+  hasOwn,
+  hasProto,
+  identity,
+  isPlainObject
+} from '../util/index'
+
+/*
+  只读视图保存在原对象的这两个属性上，同一个对象多次调用readonly会得到同一个视图
+*/
+const READONLY_VIEW_KEY = '__readonlyView__'
+const SHALLOW_READONLY_VIEW_KEY = '__shallowReadonlyView__'
+/*只读视图以及只读副本上通过__raw__属性指向原对象*/
+const RAW_KEY = '__raw__'
+
+/*
+  数组、Map以及Set的只读副本保存在原对象的这两个属性上，原对象的内容没有变化时重复读取会得到同一个副本
+*/
+const READONLY_COPY_KEY = '__readonlyCopy__'
+const SHALLOW_READONLY_COPY_KEY = '__shallowReadonlyCopy__'
+/*只读副本上通过__entries__属性记录创建副本时的内容，用来判断原对象是否发生了变化*/
+const ENTRIES_KEY = '__entries__'
+
+/*只读数组的原型，修改数组的方法不会执行，在开发环境下发出warning*/
+const readonlyArrayMethods = Object.create(Array.prototype)
+;[
+  'push',
+  'pop',
+  'shift',
+  'unshift',
+  'splice',
+  'sort',
+  'reverse',
+  'fill',
+  'copyWithin'
+].forEach(method => {
+  def(readonlyArrayMethods, method, function readonlyMutator () {
+    warnReadonlyMethod(method)
+    return method === 'push' || method === 'unshift' ? this.length : this
+  })
+})
+
+function warnReadonlyMethod (method: string) {
+  process.env.NODE_ENV !== 'production' && warn(
+    `Method "${method}" failed: target is readonly.`
+  )
+}
+
+/**
+ * 判断一个对象是否是readonly创建的只读视图
+ */
+export function isReadonly (value: any): boolean {
+  return !!value && hasOwn(value, RAW_KEY)
+}
+
+/**
+ * 创建对象的只读视图
+ * 只读视图不会复制原对象的值，而是为原对象的每一个key定义getter，读取时会读取原对象（原对象是响应式的话会进行依赖收集），
+ * 赋值时不会修改原对象，在开发环境下会发出warning。
+ * 由于不使用ES6 Proxy，视图只包含原对象上已有的key，之后新增的key在再次调用readonly时才会被添加到视图上
+ * （非shallow模式下嵌套的对象每次读取时都会调用readonly，所以总是包含最新的key）。
+ * 非shallow模式下嵌套的纯对象也会被转换成只读视图，嵌套的数组、Map以及Set被转换成只读副本（见readonlyCopy）。
+ * target本身是数组、Map或者Set时同样返回只读副本，其他类型的值不被支持，在开发环境下发出warning并原样返回。
+ * @export
+ * @param {Object} target 原对象
+ * @param {?boolean} shallow 是否只有第一层是只读的
+ * @returns 只读视图
+ */
+export function readonly (target: any, shallow?: boolean): any {
+  /*已经是只读视图则直接返回*/
+  if (isReadonly(target)) {
+    return target
+  }
+  if (Array.isArray(target) || isMap(target) || isSet(target)) {
+    return readonlyCopy(target, shallow)
+  }
+  if (!isPlainObject(target)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Cannot create a readonly view of ${String(target)}: ` +
+      'only plain objects, arrays, Maps and Sets are supported.'
+    )
+    return target
+  }
+  const viewKey = shallow ? SHALLOW_READONLY_VIEW_KEY : READONLY_VIEW_KEY
+  let view
+  if (hasOwn(target, viewKey)) {
+    view = target[viewKey]
+  } else {
+    view = Object.create(Object.getPrototypeOf(target))
+    def(view, RAW_KEY, target)
+    if (Object.isExtensible(target)) {
+      def(target, viewKey, view)
+    }
+  }
+  /*为原对象上新增的key定义只读属性*/
+  const keys = Object.keys(target)
+  for (let i = 0; i < keys.length; i++) {
+    if (!hasOwn(view, keys[i])) {
+      defineReadonlyProperty(view, target, keys[i], shallow)
+    }
+  }
+  return view
+}
+
+/*在只读视图上定义代理到原对象的只读属性*/
+function defineReadonlyProperty (view: Object, target: Object, key: string, shallow: ?boolean) {
+  Object.defineProperty(view, key, {
+    enumerable: true,
+    configurable: true,
+    get: function readonlyGetter () {
+      return shallow ? target[key] : toReadonlyValue(target[key])
+    },
+    set: function readonlySetter () {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Set operation on key "${key}" failed: target is readonly.`
+      )
+    }
+  })
+}
+
+/*非shallow模式下将嵌套的值转换成只读的：纯对象转换成只读视图，数组、Map以及Set转换成只读副本*/
+function toReadonlyValue (val: any): any {
+  if (isPlainObject(val) || Array.isArray(val) || isMap(val) || isSet(val)) {
+    return readonly(val)
+  }
+  return val
+}
+
+/**
+ * 创建数组、Map或者Set的只读副本
+ * 不使用ES6 Proxy无法为这些对象定义只读视图，所以创建一个副本，修改副本的方法不会执行，在开发环境下发出warning。
+ * 副本缓存在原对象上，每次读取时检查原对象的内容（数组的元素、Map的key与value、Set的值），
+ * 没有变化时返回同一个副本，发生变化时重新创建。非shallow模式下副本中的值同样是只读的。
+ * 读取原对象时会进行依赖收集，所以原对象是响应式的话读取副本的watcher会在原对象变化时更新。
+ */
+function readonlyCopy (target: any, shallow: ?boolean): any {
+  const entries = getReadonlyEntries(target, shallow)
+  const copyKey = shallow ? SHALLOW_READONLY_COPY_KEY : READONLY_COPY_KEY
+  const cached = hasOwn(target, copyKey) ? target[copyKey] : null
+  if (cached && isSameEntries(cached[ENTRIES_KEY], entries)) {
+    return cached
+  }
+  let copy
+  if (Array.isArray(target)) {
+    copy = entries.slice()
+    if (hasProto) {
+      /* eslint-disable no-proto */
+      copy.__proto__ = readonlyArrayMethods
+      /* eslint-enable no-proto */
+    } else {
+      const methods = Object.getOwnPropertyNames(readonlyArrayMethods)
+      for (let i = 0; i < methods.length; i++) {
+        def(copy, methods[i], readonlyArrayMethods[methods[i]])
+      }
+    }
+  } else if (isMap(target)) {
+    copy = new Map()
+    for (let i = 0; i < entries.length; i += 2) {
+      copy.set(entries[i], entries[i + 1])
+    }
+    defReadonlyMethods(copy, ['set', 'delete', 'clear'])
+  } else {
+    copy = new Set(entries)
+    defReadonlyMethods(copy, ['add', 'delete', 'clear'])
+  }
+  def(copy, RAW_KEY, target)
+  def(copy, ENTRIES_KEY, entries)
+  if (Object.isExtensible(target)) {
+    def(target, copyKey, copy)
+  }
+  return copy
+}
+
+/*获取副本的内容，Map的key与value依次排列在同一个数组中*/
+function getReadonlyEntries (target: any, shallow: ?boolean): Array<any> {
+  const convert = shallow ? identity : toReadonlyValue
+  const res = []
+  if (Array.isArray(target)) {
+    for (let i = 0; i < target.length; i++) {
+      res.push(convert(target[i]))
+    }
+  } else if (isMap(target)) {
+    target.forEach((val, key) => {
+      res.push(key, convert(val))
+    })
+  } else {
+    target.forEach(val => {
+      res.push(convert(val))
+    })
+  }
+  return res
+}
+
+function isSameEntries (a: Array<any>, b: Array<any>): boolean {
+  if (a.length !== b.length) return false
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false
+  }
+  return true
+}
+
+/*在Map或Set的只读副本上用发出warning的方法覆盖修改内容的方法*/
+function defReadonlyMethods (copy: any, methods: Array<string>) {
+  methods.forEach(method => {
+    def(copy, method, function readonlyMutator () {
+      warnReadonlyMethod(method)
+      return method === 'delete' ? false : this
+    })
+  })
+}
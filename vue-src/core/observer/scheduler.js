@@ -12,21 +12,28 @@ import {
 
 export const MAX_UPDATE_COUNT = 100
 
+/*flush为pre的user watcher存放在preQueue中，在queue中的watcher（包括render watcher）之前执行，也就是在组件重新渲染之前*/
+const preQueue: Array<Watcher> = []
 const queue: Array<Watcher> = []
+/*flush为post的watcher存放在postQueue中，在queue中的watcher（包括render watcher）全部执行完，也就是DOM被patch之后执行*/
+const postQueue: Array<Watcher> = []
 const activatedChildren: Array<Component> = []
 /*一个哈希表，用来存放watcher对象的id，防止重复的watcher对象多次加入*/
 let has: { [key: number]: ?true } = {}
 let circular: { [key: number]: number } = {}
 let waiting = false
 let flushing = false
+let preIndex = 0
 let index = 0
+let postIndex = 0
 
 /**
  * Reset the scheduler's state.
  */
  /*重置调度者的状态*/
 function resetSchedulerState () {
-  queue.length = activatedChildren.length = 0
+  preQueue.length = queue.length = postQueue.length = activatedChildren.length = 0
+  preIndex = index = postIndex = 0
   has = {}
   if (process.env.NODE_ENV !== 'production') {
     circular = {}
@@ -35,12 +42,11 @@ function resetSchedulerState () {
 }
 /*Github:https://github.com/answershuto*/
 /**
- * Flush both queues and run the watchers.
+ * Flush all queues and run the watchers.
  */
- /*nextTick的回调函数，在下一个tick时flush掉两个队列同时运行watchers*/
+ /*nextTick的回调函数，在下一个tick时flush掉三个队列同时运行watchers*/
 function flushSchedulerQueue () {
   flushing = true
-  let watcher, id
 
   // Sort queue before flush.
   // This ensures that:
@@ -56,41 +62,32 @@ function flushSchedulerQueue () {
     2.一个组件的user watchers比render watcher先运行，因为user watchers往往比render watcher更早创建
     3.如果一个组件在父组件watcher运行期间被销毁，它的watcher执行将被跳过。
   */
+  preQueue.sort((a, b) => a.id - b.id)
   queue.sort((a, b) => a.id - b.id)
+  postQueue.sort((a, b) => a.id - b.id)
 
   // do not cache length because more watchers might be pushed
   // as we run existing watchers
   /*这里不用index = queue.length;index > 0; index--的方式写是因为不要将length进行缓存，因为在执行处理现有watcher对象期间，更多的watcher对象可能会被push进queue*/
-  for (index = 0; index < queue.length; index++) {
-    watcher = queue[index]
-    id = watcher.id
-    /*将has的标记删除*/
-    has[id] = null
-    /*执行watcher*/
-    watcher.run()
-    // in dev build, check and stop circular updates.
-    /*
-      在测试环境中，检测watch是否在死循环中
-      比如这样一种情况
-      watch: {
-        test () {
-          this.test++;
-        }
+  /*
+    依次执行preQueue、queue以及postQueue中的watcher。
+    执行过程中有新的watcher被加入前面的队列时（例如父组件重新渲染时更新了子组件的prop，触发了子组件的pre watcher），
+    需要先回到前面的队列继续执行，直到三个队列都被执行完
+  */
+  flush: while (preIndex < preQueue.length || index < queue.length || postIndex < postQueue.length) {
+    for (; preIndex < preQueue.length; preIndex++) {
+      if (!runWatcher(preQueue[preIndex])) {
+        break flush
       }
-      持续执行了一百次watch代表可能存在死循环
-    */
-    if (process.env.NODE_ENV !== 'production' && has[id] != null) {
-      circular[id] = (circular[id] || 0) + 1
-      if (circular[id] > MAX_UPDATE_COUNT) {
-        warn(
-          'You may have an infinite update loop ' + (
-            watcher.user
-              ? `in watcher with expression "${watcher.expression}"`
-              : `in a component render function.`
-          ),
-          watcher.vm
-        )
-        break
+    }
+    for (; index < queue.length && preIndex >= preQueue.length; index++) {
+      if (!runWatcher(queue[index])) {
+        break flush
+      }
+    }
+    for (; postIndex < postQueue.length && preIndex >= preQueue.length && index >= queue.length; postIndex++) {
+      if (!runWatcher(postQueue[postIndex])) {
+        break flush
       }
     }
   }
@@ -117,6 +114,43 @@ function flushSchedulerQueue () {
   }
 }
 
+/**
+ * 执行一个watcher，在开发环境下检测到死循环时返回false
+ */
+function runWatcher (watcher: Watcher): boolean {
+  const id = watcher.id
+  /*将has的标记删除*/
+  has[id] = null
+  /*执行watcher*/
+  watcher.run()
+  // in dev build, check and stop circular updates.
+  /*
+    在测试环境中，检测watch是否在死循环中
+    比如这样一种情况
+    watch: {
+      test () {
+        this.test++;
+      }
+    }
+    持续执行了一百次watch代表可能存在死循环
+  */
+  if (process.env.NODE_ENV !== 'production' && has[id] != null) {
+    circular[id] = (circular[id] || 0) + 1
+    if (circular[id] > MAX_UPDATE_COUNT) {
+      warn(
+        'You may have an infinite update loop ' + (
+          watcher.user
+            ? `in watcher with expression "${watcher.expression}"`
+            : `in a component render function.`
+        ),
+        watcher.vm
+      )
+      return false
+    }
+  }
+  return true
+}
+
 /*调用updated钩子*/
 function callUpdateHooks (queue) {
   let i = queue.length
@@ -164,18 +198,26 @@ export function queueWatcher (watcher: Watcher) {
   /*检验id是否存在，已经存在则直接跳过，不存在则标记哈希表has，用于下次检验*/
   if (has[id] == null) {
     has[id] = true
+    /*
+      flush为pre的user watcher放入preQueue，保证其在所有组件重新渲染之前执行（包括在mount之后创建、id大于render watcher的watcher），
+      flush为post的watcher放入postQueue，其余（render watcher等内部的watcher）放入queue
+    */
+    const target = watcher.flush === 'post'
+      ? postQueue
+      : watcher.user && watcher.flush === 'pre' ? preQueue : queue
     if (!flushing) {
       /*如果没有flush掉，直接push到队列中即可*/
-      queue.push(watcher)
+      target.push(watcher)
     } else {
       // if already flushing, splice the watcher based on its id
       // if already past its id, it will be run next immediately.
       // 下面这段循环什么意思，queue里面的watcher实例有按照id大小进行排序吗？？
-      let i = queue.length - 1
-      while (i >= 0 && queue[i].id > watcher.id) {
+      const current = target === preQueue ? preIndex : target === postQueue ? postIndex : index
+      let i = target.length - 1
+      while (i >= 0 && target[i].id > watcher.id) {
         i--
       }
-      queue.splice(Math.max(i, index) + 1, 0, watcher)
+      target.splice(Math.max(i, current) + 1, 0, watcher)
     }
     // queue the flush
     if (!waiting) {
@@ -2,10 +2,15 @@
 
 import { queueWatcher } from './scheduler'
 import Dep, { pushTarget, popTarget } from './dep'
+import type { DepDebugInfo } from './dep'
+import { recordEffectScope } from './effect-scope'
 
 import {
   warn,
+  isMap,
+  isSet,
   remove,
+  extend,
   isObject,
   parsePath,
   _Set as Set,
@@ -37,6 +42,15 @@ export default class Watcher {
   // lazy watcher
   lazy: boolean;
   sync: boolean;
+  // 调度时机：pre（默认，在组件重新渲染之前）、post（在DOM被patch之后）、sync（同步执行）
+  flush: string;
+  // 防抖与节流的时间间隔（毫秒），仅对非lazy的watcher生效
+  debounce: number;
+  throttle: number;
+  // 防抖或节流使用的定时器
+  timer: any;
+  // 节流期间是否有被推迟的更新
+  throttled: boolean;
   dirty: boolean;
   active: boolean;
   deps: Array<Dep>;
@@ -45,8 +59,16 @@ export default class Watcher {
   depIds: ISet;
   // watcher内新依赖的id set集合
   newDepIds: ISet;
+  // 开发环境下计算属性记录的依赖的调试信息，在depend时传递给读取该计算属性的watcher
+  depInfos: ?{ [id: number]: DepDebugInfo };
+  newDepInfos: ?{ [id: number]: DepDebugInfo };
   getter: Function;
   value: any;
+  // 开发环境下的调试回调，依赖被收集时调用onTrack，依赖触发更新时调用onTrigger
+  onTrack: ?Function;
+  onTrigger: ?Function;
+  // watcher被销毁（teardown）时调用，用来释放watcher持有的外部资源
+  onStop: ?Function;
 
   /**
    * 以new Vue({
@@ -117,16 +139,40 @@ export default class Watcher {
     this.vm = vm
     /*_watchers存放订阅者实例*/
     vm._watchers.push(this)
+    /*在effectScope的run方法中创建的watcher会被收集到该作用域中*/
+    recordEffectScope(this)
     // options
     if (options) {
       // !!可以将一些假意真假的值变为true or false，比如!!0 会变为false
       this.deep = !!options.deep
       this.user = !!options.user
       this.lazy = !!options.lazy
-      this.sync = !!options.sync
+      this.flush = options.flush || (options.sync ? 'sync' : 'pre')
+      if (process.env.NODE_ENV !== 'production' &&
+        this.flush !== 'pre' && this.flush !== 'post' && this.flush !== 'sync'
+      ) {
+        warn(
+          `Invalid flush option "${this.flush}" for watcher "${expOrFn.toString()}": ` +
+          `expected "pre", "post" or "sync".`,
+          vm
+        )
+        this.flush = 'pre'
+      }
+      this.sync = this.flush === 'sync'
+      this.debounce = Number(options.debounce) || 0
+      this.throttle = Number(options.throttle) || 0
+      this.onStop = options.onStop
+      if (process.env.NODE_ENV !== 'production') {
+        this.onTrack = options.onTrack
+        this.onTrigger = options.onTrigger
+      }
     } else {
       this.deep = this.user = this.lazy = this.sync = false
+      this.flush = 'pre'
+      this.debounce = this.throttle = 0
     }
+    this.timer = null
+    this.throttled = false
     this.cb = cb
     this.id = ++uid // uid for batching
     this.active = true
@@ -136,6 +182,7 @@ export default class Watcher {
     this.newDeps = []
     this.depIds = new Set()
     this.newDepIds = new Set()
+    this.depInfos = this.newDepInfos = null
     
     this.expression = process.env.NODE_ENV !== 'production'
       ? expOrFn.toString()
@@ -214,7 +261,7 @@ export default class Watcher {
    * Add a dependency to this directive.
    */
    /*添加一个依赖关系到Deps集合中*/
-  addDep (dep: Dep) {
+  addDep (dep: Dep, info?: DepDebugInfo) {
     const id = dep.id
     if (!this.newDepIds.has(id)) {
       // watcher没有添加过这个dep，将其id添加到set中存储
@@ -225,6 +272,22 @@ export default class Watcher {
         // 把watcher添加到dep里面
         dep.addSub(this)
       }
+      /*开发环境下只在一次求值中第一次收集该依赖时报告给onTrack回调*/
+      if (process.env.NODE_ENV !== 'production' && info) {
+        if (this.lazy) {
+          (this.newDepInfos || (this.newDepInfos = {}))[id] = info
+        }
+        if (this.onTrack) {
+          // the callback may read reactive state, which must not be
+          // collected as dependencies of this watcher
+          pushTarget(null)
+          try {
+            this.onTrack(extend({ effect: this }, info))
+          } finally {
+            popTarget()
+          }
+        }
+      }
     }
   }
 
@@ -257,6 +320,9 @@ export default class Watcher {
     this.deps = this.newDeps
     this.newDeps = tmp
     this.newDeps.length = 0
+
+    this.depInfos = this.newDepInfos
+    this.newDepInfos = null
   }
 
   /**
@@ -276,7 +342,31 @@ export default class Watcher {
     if (this.lazy) {
       // 计算属性与vm.$watch 的watcher实例为什么只设置了dirty就不动了
       this.dirty = true
-    } else if (this.sync) {
+    } else if (this.debounce > 0) {
+      /*防抖：每次更新都重新计时，在最后一次更新debounce毫秒之后才进行调度*/
+      clearTimeout(this.timer)
+      this.timer = setTimeout(() => {
+        this.timer = null
+        this.schedule()
+      }, this.debounce)
+    } else if (this.throttle > 0) {
+      /*节流：立即调度第一次更新，throttle毫秒内的后续更新合并成一次，在时间窗口结束时调度*/
+      if (this.timer) {
+        this.throttled = true
+      } else {
+        this.schedule()
+        this.startThrottle()
+      }
+    } else {
+      this.schedule()
+    }
+  }
+
+  /**
+   * 调度一次更新，同步则执行run直接渲染视图，否则推送到观察者队列中
+   */
+  schedule () {
+    if (this.sync) {
       /*同步则执行run直接渲染视图*/
       this.run()
     } else {
@@ -286,6 +376,18 @@ export default class Watcher {
     }
   }
 
+  /*开启节流的时间窗口，窗口结束时如果有被推迟的更新则进行调度并开启下一个窗口*/
+  startThrottle () {
+    this.timer = setTimeout(() => {
+      this.timer = null
+      if (this.throttled) {
+        this.throttled = false
+        this.schedule()
+        this.startThrottle()
+      }
+    }, this.throttle)
+  }
+
   /**
    * Scheduler job interface.
    * Will be called by the scheduler.
@@ -351,9 +453,11 @@ export default class Watcher {
    */
    /*收集该watcher的所有deps依赖*/
   depend () {
+    const infos = this.depInfos
     let i = this.deps.length
     while (i--) {
-      this.deps[i].depend()
+      const dep = this.deps[i]
+      dep.depend(infos ? infos[dep.id] : undefined)
     }
   }
 
@@ -374,7 +478,16 @@ export default class Watcher {
       while (i--) {
         this.deps[i].removeSub(this)
       }
+      /*取消尚未触发的防抖或节流更新，避免在实例销毁之后调用回调*/
+      if (this.timer) {
+        clearTimeout(this.timer)
+        this.timer = null
+        this.throttled = false
+      }
       this.active = false
+      if (this.onStop) {
+        this.onStop()
+      }
     }
   }
 }
@@ -413,6 +526,9 @@ function _traverse (val: any, seen: ISet) {
   if (isA) {
     i = val.length
     while (i--) _traverse(val[i], seen)
+  } else if (isMap(val) || isSet(val)) {
+    /*Map与Set通过被重写的forEach进行遍历，遍历本身就会对集合进行依赖收集*/
+    val.forEach(item => _traverse(item, seen))
   } else {
     keys = Object.keys(val)
     i = keys.length
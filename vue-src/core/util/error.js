@@ -5,23 +5,65 @@ import { warn } from './debug'
 import { inBrowser } from './env'
 /**
  * @description 处理错误函数
+ * 先沿着$parent链向上调用父组件的errorCaptured钩子，任意一个钩子返回false则停止向上传播，
+ * 否则最终交由全局的config.errorHandler处理
  * @export
  * @param {Error} err 
  * @param {*} vm 
  * @param {string} info 
  */
 export function handleError (err: Error, vm: any, info: string) {
-  if (config.errorHandler) {
-    config.errorHandler.call(null, err, vm, info)
-  } else {
-    if (process.env.NODE_ENV !== 'production') {
-      warn(`Error in ${info}: "${err.toString()}"`, vm)
+  if (vm) {
+    let cur = vm
+    while ((cur = cur.$parent)) {
+      /*先调用选项中的钩子，再调用通过onErrorCaptured注册的钩子*/
+      if (
+        invokeErrorCaptured(cur.$options.errorCaptured, cur, err, vm, info) ||
+        (cur._hooks && invokeErrorCaptured(cur._hooks.errorCaptured, cur, err, vm, info))
+      ) {
+        return
+      }
     }
-    /* istanbul ignore else */
-    if (inBrowser && typeof console !== 'undefined') {
-      console.error(err)
-    } else {
-      throw err
+  }
+  globalHandleError(err, vm, info)
+}
+
+/*依次调用errorCaptured钩子，错误被捕获（某个钩子返回false）时返回true*/
+function invokeErrorCaptured (hooks: ?Array<Function>, cur: any, err: Error, vm: any, info: string): boolean {
+  if (hooks) {
+    for (let i = 0; i < hooks.length; i++) {
+      try {
+        /*errorCaptured钩子返回false代表错误已经被捕获，不再继续向上传播*/
+        if (hooks[i].call(cur, err, vm, info) === false) return true
+      } catch (e) {
+        /*errorCaptured钩子自身抛出的错误直接交给全局处理*/
+        globalHandleError(e, cur, 'errorCaptured hook')
+      }
     }
   }
+  return false
+}
+
+/*调用全局的config.errorHandler，不存在或者其自身出错时打印错误*/
+function globalHandleError (err, vm, info) {
+  if (config.errorHandler) {
+    try {
+      return config.errorHandler.call(null, err, vm, info)
+    } catch (e) {
+      logError(e, null, 'config.errorHandler')
+    }
+  }
+  logError(err, vm, info)
+}
+
+function logError (err, vm, info) {
+  if (process.env.NODE_ENV !== 'production') {
+    warn(`Error in ${info}: "${err.toString()}"`, vm)
+  }
+  /* istanbul ignore else */
+  if (inBrowser && typeof console !== 'undefined') {
+    console.error(err)
+  } else {
+    throw err
+  }
 }
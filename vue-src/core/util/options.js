@@ -2,6 +2,7 @@
 
 import config from '../config'
 import { warn } from './debug'
+import { hasSymbol } from './env'
 import { set } from '../observer/index'
 
 import {
@@ -14,6 +15,7 @@ import {
   hasOwn,
   camelize,
   capitalize,
+  isThenable,
   isBuiltInTag,
   isPlainObject
 } from 'shared/util'
@@ -64,6 +66,20 @@ function mergeData (to: Object, from: ?Object): Object {
   return to
 }
 
+/*
+  合并两个data函数的返回值，data返回Promise（async data）时在resolve之后再合并，
+  合并的结果同样是一个Promise
+*/
+function mergeDataResult (to: any, from: any): any {
+  if (isThenable(to)) {
+    return to.then(val => mergeDataResult(val, from))
+  }
+  if (isThenable(from)) {
+    return from.then(val => mergeDataResult(to, val))
+  }
+  return to ? mergeData(to, from) : from
+}
+
 /**
  * Data
  */
@@ -95,7 +111,7 @@ strats.data = function (
     // check if parentVal is a function here because
     // it has to be a function to pass previous merges.
     return function mergedDataFn () {
-      return mergeData(
+      return mergeDataResult(
         childVal.call(this),
         parentVal.call(this)
       )
@@ -109,11 +125,7 @@ strats.data = function (
       const defaultData = typeof parentVal === 'function'
         ? parentVal.call(vm)
         : undefined
-      if (instanceData) {
-        return mergeData(instanceData, defaultData)
-      } else {
-        return defaultData
-      }
+      return mergeDataResult(instanceData, defaultData)
     }
   }
 }
@@ -195,6 +207,19 @@ strats.computed = function (parentVal: ?Object, childVal: ?Object): ?Object {
   return ret
 }
 
+/**
+ * Injections are normalized into objects, merge them key by key.
+ */
+/*inject已经被序列化成对象，合并时子组件的注入覆盖父组件中同名的注入*/
+strats.inject = function (parentVal: ?Object, childVal: ?Object): ?Object {
+  if (!parentVal) return childVal
+  if (!childVal) return parentVal
+  const ret = Object.create(null)
+  extend(ret, parentVal)
+  extend(ret, childVal)
+  return ret
+}
+
 /**
  * Default strategy.
  */
@@ -255,6 +280,33 @@ function normalizeProps (options: Object) {
   options.props = res
 }
 
+/**
+ * Normalize all injections into Object-based format.
+ */
+/*将inject选项序列化成 { key: { from, default } } 的格式，from为提供者中的key*/
+function normalizeInject (options: Object) {
+  const inject = options.inject
+  if (!inject) return
+  const res = {}
+  if (Array.isArray(inject)) {
+    for (let i = 0; i < inject.length; i++) {
+      res[inject[i]] = { from: inject[i] }
+    }
+  } else if (isPlainObject(inject)) {
+    const keys = hasSymbol ? Reflect.ownKeys(inject) : Object.keys(inject)
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i]
+      const val = inject[key]
+      res[key] = isPlainObject(val)
+        ? extend({ from: key }, val)
+        : { from: val }
+    }
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn('inject must be an Array or an Object.')
+  }
+  options.inject = res
+}
+
 /**
  * Normalize raw function directives into object format.
  */
@@ -295,6 +347,8 @@ export function mergeOptions (
 
   /*确保所有props option序列化成正确的格式*/
   normalizeProps(child)
+  /*确保inject option序列化成正确的格式*/
+  normalizeInject(child)
   /*将函数指令序列化后加入对象*/
   normalizeDirectives(child)
   /*
@@ -15,6 +15,7 @@ import {
 
 import {
   resolveAsyncComponent,
+  createAsyncPlaceholder,
   extractPropsFromVNodeData
 } from './helpers/index'
 
@@ -130,12 +131,13 @@ export function createComponent (
   // async component
   /*处理异步组件*/
   if (isUndef(Ctor.cid)) {
-    Ctor = resolveAsyncComponent(Ctor, baseCtor, context)
+    const asyncFactory = Ctor
+    Ctor = resolveAsyncComponent(asyncFactory, baseCtor, context)
     if (Ctor === undefined) {
-      // return nothing if this is indeed an async component
-      // wait for the callback to trigger parent update.
-      /*如果这是一个异步组件则会不会返回任何东西（undifiened），直接return掉，等待回调函数去触发父组件更新。s*/
-      return
+      // return a placeholder node for async component, which is rendered
+      // as a comment node, and wait for the callback to trigger parent update.
+      /*如果这是一个异步组件则返回一个占位节点（渲染为注释节点），等待回调函数去触发父组件更新。*/
+      return createAsyncPlaceholder(asyncFactory)
     }
   }
 
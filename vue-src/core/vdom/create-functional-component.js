@@ -3,7 +3,10 @@
 import VNode from './vnode'
 import { createElement } from './create-element'
 import { resolveInject } from '../instance/inject'
-import { resolveSlots } from '../instance/render-helpers/resolve-slots'
+import {
+  resolveSlots,
+  normalizeScopedSlots
+} from '../instance/render-helpers/resolve-slots'
 
 import {
   isDef,
@@ -32,6 +35,9 @@ export function createFunctionalComponent (
   // gets a unique context - this is necessary for correct named slot check
   const _context = Object.create(context)
   const h = (a, b, c, d) => createElement(_context, a, b, c, d, true)
+  // slots() and scopedSlots share the same object so that v-slot slots
+  // without slot props are also exposed on the result of slots()
+  const slots = resolveSlots(children, context)
   const vnode = Ctor.options.render.call(null, h, {
     data,
     props,
@@ -39,7 +45,8 @@ export function createFunctionalComponent (
     parent: context,
     listeners: data.on || {},
     injections: resolveInject(Ctor.options.inject, context),
-    slots: () => resolveSlots(children, context)
+    slots: () => slots,
+    scopedSlots: normalizeScopedSlots(data.scopedSlots, slots)
   })
   if (vnode instanceof VNode) {
     vnode.functionalContext = context
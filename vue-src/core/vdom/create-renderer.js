@@ -0,0 +1,46 @@
+/* @flow */
+
+import { extend } from 'shared/util'
+import { createPatchFunction } from './patch'
+import baseModules from './modules/index'
+import { mountComponent } from '../instance/lifecycle'
+
+type RendererOptions = {
+  nodeOps: Object,
+  modules?: Array<Object>,
+  query?: (el: any) => any,
+  normalizeAttr?: (key: string, value: any) => ?string
+};
+
+type Renderer = {
+  patch: Function,
+  mount: (el?: any, hydrating?: boolean) => Component
+};
+
+/**
+ * 创建一个自定义渲染器，用来将组件渲染到web以及weex之外的平台（比如canvas场景图或者终端UI）
+ * nodeOps  操作平台节点的方法集合，接口与platforms/web/runtime/node-ops.js一致
+ * modules  平台模块（attrs、class、events等），基础模块（ref、directives）会被追加在最后
+ * query    可选，将mount时传入的el解析为平台节点
+ * normalizeAttr  可选，客户端激活时将属性值规范化为渲染结果中的值（不渲染时返回null）再进行比较，不提供时不检查属性
+ * 其余的选项会原样传给createPatchFunction
+ * 返回的mount与Vue.prototype.$mount的签名以及行为一致（mount.call(vm, el)，
+ * 或者直接作为一个专用构建的Vue.prototype.$mount），el被替换为组件渲染出的节点。
+ * 组件需要提供render函数（或者预先编译的模板），子组件会沿用同一个patch以及mount函数。
+ */
+export function createRenderer (options: RendererOptions): Renderer {
+  const query = options.query
+  // the directive module should be applied last, after all
+  // built-in modules have been applied.
+  const modules = (options.modules || []).concat(baseModules)
+  const patch = createPatchFunction(extend(extend({}, options), { modules }))
+
+  function mount (el?: any, hydrating?: boolean): Component {
+    const vm: Component = this
+    vm.__patch__ = patch
+    vm.$mount = mount
+    return mountComponent(vm, el && query ? query(el) : el, hydrating)
+  }
+
+  return { patch, mount }
+}
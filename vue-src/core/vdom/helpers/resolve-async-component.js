@@ -9,12 +9,24 @@ import {
   isObject
 } from 'core/util/index'
 
+import { createEmptyVNode } from 'core/vdom/vnode'
+
 function ensureCtor (comp, base) {
   return isObject(comp)
     ? base.extend(comp)
     : comp
 }
 
+/*
+  创建异步组件的占位节点，在异步组件resolve之前渲染为一个空的注释节点，
+  <suspense>通过占位节点上的asyncFactory来判断子树中是否还有未完成的异步组件
+*/
+export function createAsyncPlaceholder (factory: Function): VNode {
+  const node = createEmptyVNode()
+  node.asyncFactory = factory
+  return node
+}
+
 export function resolveAsyncComponent (
   factory: Function,
   baseCtor: Class<Component>,
@@ -41,6 +53,13 @@ export function resolveAsyncComponent (
   } else {
     const contexts = factory.contexts = [context]
     let sync = true
+    /*已经失败的加载次数*/
+    let attempts = 0
+    /*高级异步组件的选项，只取第一次调用工厂函数时返回的对象*/
+    let options
+    /*resetAsyncComponent会使当前这一轮加载过期，过期的加载结果、重试以及定时器都会被忽略*/
+    const generation = factory.generation
+    const isStale = () => factory.generation !== generation
 
     const forceRender = () => {
       for (let i = 0, l = contexts.length; i < l; i++) {
@@ -49,6 +68,7 @@ export function resolveAsyncComponent (
     }
 
     const resolve = once((res: Object | Class<Component>) => {
+      if (isStale()) return
       // cache resolved
       factory.resolved = ensureCtor(res, baseCtor)
       // invoke callbacks only if this is not a synchronous resolve
@@ -58,58 +78,101 @@ export function resolveAsyncComponent (
       }
     })
 
-    const reject = once(reason => {
+    /*放弃加载，显示出错组件*/
+    const fail = once(reason => {
+      if (isStale()) return
       process.env.NODE_ENV !== 'production' && warn(
         `Failed to resolve async component: ${String(factory)}` +
         (reason ? `\nReason: ${reason}` : '')
       )
-      if (isDef(factory.errorComp)) {
-        factory.error = true
-        forceRender()
-      }
+      factory.error = true
+      factory.errorReason = reason
+      forceRender()
     })
 
-    const res = factory(resolve, reject)
+    /*重新调用工厂函数进行一次加载*/
+    const retry = () => {
+      if (!isStale() && isUndef(factory.resolved) && !isTrue(factory.error)) {
+        load()
+      }
+    }
 
-    if (isObject(res)) {
-      if (typeof res.then === 'function') {
-        // () => Promise
-        if (isUndef(factory.resolved)) {
-          res.then(resolve, reject)
-        }
-      } else if (isDef(res.component) && typeof res.component.then === 'function') {
-        res.component.then(resolve, reject)
+    /*
+      一次加载失败时的处理：
+      存在onError时交给onError决定调用retry重试还是调用fail放弃，
+      否则在retries次数以内按照retryDelay延迟之后自动重试
+    */
+    const handleFailure = reason => {
+      if (isStale() || isDef(factory.resolved) || isTrue(factory.error)) {
+        return
+      }
+      attempts++
+      if (isDef(options) && typeof options.onError === 'function') {
+        options.onError(reason, retry, () => fail(reason), attempts)
+      } else if (isDef(options) && attempts <= (options.retries || 0)) {
+        setTimeout(retry, getRetryDelay(options.retryDelay, attempts))
+      } else {
+        fail(reason)
+      }
+    }
 
-        if (isDef(res.error)) {
-          factory.errorComp = ensureCtor(res.error, baseCtor)
+    const load = () => {
+      /*每次加载只处理一次失败，过期的加载结果（已经开始了新的一次加载）被忽略*/
+      const attempt = attempts
+      const reject = once(reason => {
+        if (attempt === attempts) {
+          handleFailure(reason)
         }
+      })
 
-        if (isDef(res.loading)) {
-          factory.loadingComp = ensureCtor(res.loading, baseCtor)
-          if (res.delay === 0) {
-            factory.loading = true
-          } else {
-            setTimeout(() => {
-              if (isUndef(factory.resolved) && isUndef(factory.error)) {
+      const res = factory(resolve, reject)
+
+      if (isObject(res)) {
+        if (typeof res.then === 'function') {
+          // () => Promise
+          if (isUndef(factory.resolved)) {
+            res.then(resolve, reject)
+          }
+        } else if (isDef(res.component) && typeof res.component.then === 'function') {
+          res.component.then(resolve, reject)
+
+          if (isUndef(options)) {
+            options = res
+
+            if (isDef(res.error)) {
+              factory.errorComp = ensureCtor(res.error, baseCtor)
+            }
+
+            if (isDef(res.loading)) {
+              factory.loadingComp = ensureCtor(res.loading, baseCtor)
+              if (res.delay === 0) {
                 factory.loading = true
-                forceRender()
+              } else {
+                setTimeout(() => {
+                  if (!isStale() && isUndef(factory.resolved) && isUndef(factory.error)) {
+                    factory.loading = true
+                    forceRender()
+                  }
+                }, res.delay || 200)
               }
-            }, res.delay || 200)
+            }
           }
-        }
 
-        if (isDef(res.timeout)) {
-          setTimeout(() => {
-            reject(
-              process.env.NODE_ENV !== 'production'
-                ? `timeout (${res.timeout}ms)`
-                : null
-            )
-          }, res.timeout)
+          if (isDef(options.timeout)) {
+            setTimeout(() => {
+              reject(
+                process.env.NODE_ENV !== 'production'
+                  ? `timeout (${options.timeout}ms)`
+                  : null
+              )
+            }, options.timeout)
+          }
         }
       }
     }
 
+    load()
+
     sync = false
     // return in case resolved synchronously
     return factory.loading
@@ -117,3 +180,38 @@ export function resolveAsyncComponent (
       : factory.resolved
   }
 }
+
+/*
+  计算自动重试之前的延迟，retryDelay可以是一个数字（作为指数退避的基数）或者一个根据重试次数返回延迟的函数
+*/
+function getRetryDelay (retryDelay: ?(number | Function), attempts: number): number {
+  if (typeof retryDelay === 'function') {
+    return retryDelay(attempts)
+  }
+  return (isDef(retryDelay) ? retryDelay : 200) * Math.pow(2, attempts - 1)
+}
+
+/**
+ * Reset a failed (or pending) async component factory so that the next
+ * render starts loading it again. Components that rendered it are
+ * re-rendered to trigger the new attempt.
+ */
+export function resetAsyncComponent (factory: Function) {
+  const contexts = factory.contexts
+  // invalidate pending loads, retries and timers of the previous generation
+  factory.generation = (factory.generation || 0) + 1
+  factory.resolved = undefined
+  factory.error = undefined
+  factory.errorReason = undefined
+  factory.errorComp = undefined
+  factory.loading = undefined
+  factory.loadingComp = undefined
+  factory.contexts = undefined
+  if (isDef(contexts)) {
+    for (let i = 0, l = contexts.length; i < l; i++) {
+      if (!contexts[i]._isDestroyed) {
+        contexts[i].$forceUpdate()
+      }
+    }
+  }
+}
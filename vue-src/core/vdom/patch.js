@@ -44,6 +44,7 @@ function sameVnode (a, b) {
     a.key === b.key &&
     a.tag === b.tag &&
     a.isComment === b.isComment &&
+    a.isFragment === b.isFragment &&
     isDef(a.data) === isDef(b.data) &&
     sameInputType(a, b)
   )
@@ -90,8 +91,9 @@ export function createPatchFunction (backend) {
     nodeOps  见platforms/web(weex)/runtime/node-ops.js  实际上是操作节点（分平台，比如web上是Dom节点的操作）的方法集合的一个适配层，
       保证不同平台使用同样的对外接口操作节点。
     modules  见/platforms/web(weex)/runtime/modules
+    normalizeAttr  可选，客户端激活时规范化属性值的方法，属性的渲染规则与平台相关，不提供时不检查属性
   */
-  const { modules, nodeOps } = backend
+  const { modules, nodeOps, normalizeAttr } = backend
 
   /*构建cbs回调函数，web平台上见/platforms/web/runtime/modules*/
   for (i = 0; i < hooks.length; ++i) {
@@ -107,10 +109,13 @@ export function createPatchFunction (backend) {
     return new VNode(nodeOps.tagName(elm).toLowerCase(), {}, [], undefined, elm)
   }
 
-  function createRmCb (childElm, listeners) {
+  function createRmCb (vnode, listeners) {
+    // collect the nodes up front, the component may be destroyed before
+    // the callback is invoked (e.g. after a leaving transition)
+    const childElms = getVnodeElms(vnode)
     function remove () {
       if (--remove.listeners === 0) {
-        removeNode(childElm)
+        removeElms(childElms)
       }
     }
     remove.listeners = listeners
@@ -129,6 +134,126 @@ export function createPatchFunction (backend) {
     }
   }
 
+  /**
+   * @description 获取vnode在文档中占据的所有真实节点
+   * 组件节点取其根节点，fragment节点包括首尾锚点以及其所有子节点，
+   * teleport节点还包括被渲染到目标节点中的子节点以及目标中的锚点
+   * @param {VNode} vnode
+   * @param {Array} res
+   */
+  function getVnodeElms (vnode, res) {
+    res = res || []
+    while (isDef(vnode.componentInstance) && isDef(vnode.componentInstance._vnode)) {
+      vnode = vnode.componentInstance._vnode
+    }
+    if (isTrue(vnode.isFragment)) {
+      res.push(vnode.elm)
+      for (let i = 0; i < vnode.children.length; ++i) {
+        getVnodeElms(vnode.children[i], res)
+      }
+      res.push(vnode.anchor)
+      if (isDef(vnode.targetAnchor)) {
+        res.push(vnode.targetAnchor)
+      }
+    } else {
+      res.push(vnode.elm)
+    }
+    return res
+  }
+
+  /*获取vnode占据的最后一个真实节点，fragment节点为其结束锚点*/
+  function getLastElm (vnode) {
+    while (isDef(vnode.componentInstance) && isDef(vnode.componentInstance._vnode)) {
+      vnode = vnode.componentInstance._vnode
+    }
+    return isTrue(vnode.isFragment) ? vnode.anchor : vnode.elm
+  }
+
+  /*将vnode占据的所有真实节点移动到refElm之前，被teleport到目标节点中的子节点保持不动*/
+  function moveVnode (parentElm, vnode, refElm) {
+    while (isDef(vnode.componentInstance) && isDef(vnode.componentInstance._vnode)) {
+      vnode = vnode.componentInstance._vnode
+    }
+    if (isTrue(vnode.isFragment)) {
+      insert(parentElm, vnode.elm, refElm)
+      if (!isTeleported(vnode)) {
+        moveChildren(parentElm, vnode.children, refElm)
+      }
+      insert(parentElm, vnode.anchor, refElm)
+    } else {
+      insert(parentElm, vnode.elm, refElm)
+    }
+  }
+
+  function moveChildren (parentElm, children, refElm) {
+    for (let i = 0; i < children.length; ++i) {
+      moveVnode(parentElm, children[i], refElm)
+    }
+  }
+
+  /*teleport节点的子节点当前是否渲染在目标节点中*/
+  function isTeleported (vnode) {
+    return isDef(vnode.teleport) && !vnode.teleport.disabled && isDef(vnode.targetAnchor)
+  }
+
+  /*
+    对vnode子树（包括子组件渲染的子树）中所有子节点被渲染在目标节点中的teleport节点调用fn，
+    外层的teleport先于内层的teleport被处理
+  */
+  function forEachTeleport (vnode, fn) {
+    while (isDef(vnode.componentInstance) && isDef(vnode.componentInstance._vnode)) {
+      vnode = vnode.componentInstance._vnode
+    }
+    if (isTeleported(vnode)) {
+      fn(vnode)
+    }
+    if (isDef(vnode.children)) {
+      for (let i = 0; i < vnode.children.length; ++i) {
+        forEachTeleport(vnode.children[i], fn)
+      }
+    }
+  }
+
+  /*将teleport渲染在目标节点中的子节点以及目标中的锚点移出文档，例如所在的keep-alive组件失活时*/
+  function detachTeleport (vnode) {
+    for (let i = 0; i < vnode.children.length; ++i) {
+      removeElms(getVnodeElms(vnode.children[i]))
+    }
+    removeNode(vnode.targetAnchor)
+  }
+
+  /*将被移出文档的teleport子节点重新插入到目标节点中，例如所在的keep-alive组件被重新激活时*/
+  function reattachTeleport (vnode) {
+    if (isUndef(nodeOps.parentNode(vnode.targetAnchor))) {
+      const target = resolveTeleportTarget(vnode)
+      if (isDef(target)) {
+        nodeOps.appendChild(target, vnode.targetAnchor)
+        moveChildren(target, vnode.children, vnode.targetAnchor)
+      }
+    }
+  }
+
+  /*获取teleport的目标节点，to为字符串时作为选择器查找，offscreen时使用一个不在文档中的容器节点*/
+  function resolveTeleportTarget (vnode) {
+    if (isTrue(vnode.teleport.offscreen)) {
+      return nodeOps.createElement('div', vnode)
+    }
+    const to = vnode.teleport.to
+    const target = typeof to === 'string'
+      ? (isDef(nodeOps.querySelector) ? nodeOps.querySelector(to) : null)
+      : to
+    if (process.env.NODE_ENV !== 'production' && !target) {
+      warn(`Failed to locate teleport target: ${String(to)}`)
+    }
+    return target
+  }
+
+  function removeElms (elms) {
+    for (let i = 0; i < elms.length; ++i) {
+      removeNode(elms[i])
+    }
+  }
+
   let inPre = 0
   /**
    * @description 根据传入的vnode创建 element
@@ -208,6 +333,30 @@ export function createPatchFunction (backend) {
       if (process.env.NODE_ENV !== 'production' && data && data.pre) {
         inPre--
       }
+    } else if (isTrue(vnode.isFragment)) {
+      // fragment节点，先插入首尾两个锚点，再将子节点依次插入到结束锚点之前
+      vnode.elm = nodeOps.createTextNode('')
+      vnode.anchor = nodeOps.createTextNode('')
+      insert(parentElm, vnode.elm, refElm)
+      insert(parentElm, vnode.anchor, refElm)
+      let container = parentElm
+      let containerAnchor = vnode.anchor
+      if (isDef(vnode.teleport)) {
+        // teleport节点，在目标节点末尾插入一个锚点，子节点插入到该锚点之前
+        // 找不到目标节点时子节点渲染在原位置
+        const target = resolveTeleportTarget(vnode)
+        if (isDef(target)) {
+          vnode.targetAnchor = nodeOps.createTextNode('')
+          nodeOps.appendChild(target, vnode.targetAnchor)
+          if (isTeleported(vnode)) {
+            container = target
+            containerAnchor = vnode.targetAnchor
+          }
+        }
+      }
+      for (let i = 0; i < children.length; ++i) {
+        createElm(children[i], insertedVnodeQueue, container, containerAnchor, true)
+      }
     } else if (isTrue(vnode.isComment)) {
       // html注释节点
       vnode.elm = nodeOps.createComment(vnode.text)
@@ -267,8 +416,11 @@ export function createPatchFunction (backend) {
       /*为scoped CSS 设置scoped id*/
       setScope(vnode)
     } else {
-      // empty component root.
+      // empty or fragment component root.
       // skip all element-related modules except for ref (#3455)
+      if (process.env.NODE_ENV !== 'production') {
+        checkFragmentAttrs(vnode)
+      }
       /*注册ref*/
       registerRef(vnode)
       // make sure to invoke the insert hook
@@ -276,6 +428,28 @@ export function createPatchFunction (backend) {
     }
   }
 
+  // attrs, class and style on the placeholder cannot fall through to a
+  // fragment root since there is no single element to receive them
+  function checkFragmentAttrs (vnode) {
+    const data = vnode.data
+    const root = vnode.componentInstance._vnode
+    if (
+      isDef(root) && isTrue(root.isFragment) &&
+      // props have already been extracted from attrs at this point, and
+      // components with inheritAttrs: false expose the rest on $attrs
+      ((isDef(data.attrs) && Object.keys(data.attrs).length > 0 &&
+        vnode.componentInstance.$options.inheritAttrs !== false) ||
+        isDef(data.staticClass) || isDef(data.class) ||
+        isDef(data.staticStyle) || isDef(data.style))
+    ) {
+      warn(
+        'Extraneous non-props attributes, class or style were passed to a ' +
+        'component that renders a fragment root and could not be inherited.',
+        vnode.componentInstance
+      )
+    }
+  }
+
   function reactivateComponent (vnode, insertedVnodeQueue, parentElm, refElm) {
     let i
     // hack for #4339: a reactivated component with inner transition
@@ -295,7 +469,9 @@ export function createPatchFunction (backend) {
     }
     // unlike a newly created component,
     // a reactivated keep-alive component doesn't insert itself
-    insert(parentElm, vnode.elm, refElm)
+    moveVnode(parentElm, vnode, refElm)
+    // teleported children were detached when the component was deactivated
+    forEachTeleport(vnode, reattachTeleport)
   }
 
   /**
@@ -398,6 +574,11 @@ export function createPatchFunction (backend) {
     if (isDef(data)) {
       if (isDef(i = data.hook) && isDef(i = i.destroy)) i(vnode)
       for (i = 0; i < cbs.destroy.length; ++i) cbs.destroy[i](vnode)
+      // a deactivated keep-alive component keeps its subtree, but children
+      // teleported out of it must not stay in the target
+      if (isTrue(data.keepAlive) && isDef(vnode.componentInstance)) {
+        forEachTeleport(vnode, detachTeleport)
+      }
     }
     /*递归调用*/
     if (isDef(i = vnode.children)) {
@@ -405,6 +586,11 @@ export function createPatchFunction (backend) {
         invokeDestroyHook(vnode.children[j])
       }
     }
+    // teleported children live outside of the host's DOM, so they are
+    // removed together with the teleport even if the host itself is not
+    if (isTeleported(vnode)) {
+      removeElms(getVnodeElms(vnode))
+    }
   }
 
   /**
@@ -424,6 +610,10 @@ export function createPatchFunction (backend) {
           removeAndInvokeRemoveHook(ch)
           /*调用destroy钩子*/
           invokeDestroyHook(ch)
+        } else if (isTrue(ch.isFragment)) {
+          /*fragment节点，移除锚点及其之间的所有节点，并调用子节点的destroy钩子*/
+          removeElms(getVnodeElms(ch))
+          invokeDestroyHook(ch)
         } else { // Text node
           /*不存在代表是一个text节点，直接移除*/
           removeNode(ch.elm)
@@ -442,7 +632,7 @@ export function createPatchFunction (backend) {
         rm.listeners += listeners
       } else {
         // directly removing
-        rm = createRmCb(vnode.elm, listeners)
+        rm = createRmCb(vnode, listeners)
       }
       // recursively invoke hooks on child component root node
       if (isDef(i = vnode.componentInstance) && isDef(i = i._vnode) && isDef(i.data)) {
@@ -461,7 +651,8 @@ export function createPatchFunction (backend) {
     }
   }
 
-  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly) {
+  /*parentAnchor为fragment的结束锚点，在fragment内部追加节点时作为参照节点*/
+  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly, parentAnchor) {
     let oldStartIdx = 0
     let newStartIdx = 0
     let oldEndIdx = oldCh.length - 1
@@ -493,12 +684,12 @@ export function createPatchFunction (backend) {
         newEndVnode = newCh[--newEndIdx]
       } else if (sameVnode(oldStartVnode, newEndVnode)) { // Vnode moved right
         patchVnode(oldStartVnode, newEndVnode, insertedVnodeQueue)
-        canMove && nodeOps.insertBefore(parentElm, oldStartVnode.elm, nodeOps.nextSibling(oldEndVnode.elm))
+        canMove && moveVnode(parentElm, oldStartVnode, nodeOps.nextSibling(getLastElm(oldEndVnode)))
         oldStartVnode = oldCh[++oldStartIdx]
         newEndVnode = newCh[--newEndIdx]
       } else if (sameVnode(oldEndVnode, newStartVnode)) { // Vnode moved left
         patchVnode(oldEndVnode, newStartVnode, insertedVnodeQueue)
-        canMove && nodeOps.insertBefore(parentElm, oldEndVnode.elm, oldStartVnode.elm)
+        canMove && moveVnode(parentElm, oldEndVnode, oldStartVnode.elm)
         oldEndVnode = oldCh[--oldEndIdx]
         newStartVnode = newCh[++newStartIdx]
       } else {
@@ -531,7 +722,7 @@ export function createPatchFunction (backend) {
             /*因为已经patchVnode进去了，所以将这个老节点赋值undefined，之后如果还有新节点与该节点key相同可以检测出来提示已有重复的key*/
             oldCh[idxInOld] = undefined
             /*当有标识位canMove实可以直接插入oldStartVnode对应的真实Dom节点前面*/
-            canMove && nodeOps.insertBefore(parentElm, newStartVnode.elm, oldStartVnode.elm)
+            canMove && moveVnode(parentElm, newStartVnode, oldStartVnode.elm)
             newStartVnode = newCh[++newStartIdx]
           } else {
             // same key but different element. treat as new element
@@ -544,7 +735,7 @@ export function createPatchFunction (backend) {
     }
     if (oldStartIdx > oldEndIdx) {
       /*全部比较完成以后，发现oldStartIdx > oldEndIdx的话，说明老节点已经遍历完了，新节点比老节点多，所以这时候多出来的新节点需要一个一个创建出来加入到真实Dom中*/
-      refElm = isUndef(newCh[newEndIdx + 1]) ? null : newCh[newEndIdx + 1].elm
+      refElm = isUndef(newCh[newEndIdx + 1]) ? parentAnchor : newCh[newEndIdx + 1].elm
       addVnodes(parentElm, refElm, newCh, newStartIdx, newEndIdx, insertedVnodeQueue)
     } else if (newStartIdx > newEndIdx) {
       /*如果全部比较完成以后发现newStartIdx > newEndIdx，则说明新节点已经遍历完了，老节点多余新节点，这个时候需要将多余的老节点从真实Dom中移除*/
@@ -573,6 +764,7 @@ export function createPatchFunction (backend) {
         vnode.key === oldVnode.key &&
         (isTrue(vnode.isCloned) || isTrue(vnode.isOnce))) {
       vnode.elm = oldVnode.elm
+      vnode.anchor = oldVnode.anchor
       vnode.componentInstance = oldVnode.componentInstance
       return
     }
@@ -585,6 +777,16 @@ export function createPatchFunction (backend) {
     const elm = vnode.elm = oldVnode.elm
     const oldCh = oldVnode.children
     const ch = vnode.children
+    if (isTrue(vnode.isFragment)) {
+      /*fragment节点，在其首尾锚点之间对子节点进行diff*/
+      vnode.anchor = oldVnode.anchor
+      if (isDef(vnode.teleport)) {
+        patchTeleport(oldVnode, vnode, insertedVnodeQueue, removeOnly)
+      } else {
+        updateChildren(nodeOps.parentNode(elm), oldCh, ch, insertedVnodeQueue, removeOnly, vnode.anchor)
+      }
+      return
+    }
     if (isDef(data) && isPatchable(vnode)) {
       /*调用update回调以及update钩子*/
       for (i = 0; i < cbs.update.length; ++i) cbs.update[i](oldVnode, vnode)
@@ -616,6 +818,38 @@ export function createPatchFunction (backend) {
     }
   }
 
+  /*patch teleport节点，to或者disabled发生变化时将子节点移动到新的位置*/
+  function patchTeleport (oldVnode, vnode, insertedVnodeQueue, removeOnly) {
+    const wasTeleported = isTeleported(oldVnode)
+    let targetAnchor = vnode.targetAnchor = oldVnode.targetAnchor
+    // diff children in the container they currently live in
+    if (wasTeleported) {
+      updateChildren(nodeOps.parentNode(targetAnchor), oldVnode.children, vnode.children, insertedVnodeQueue, removeOnly, targetAnchor)
+    } else {
+      updateChildren(nodeOps.parentNode(vnode.elm), oldVnode.children, vnode.children, insertedVnodeQueue, removeOnly, vnode.anchor)
+    }
+    // target changed: move the target anchor, the old target is kept if the
+    // new one cannot be found
+    const targetChanged = vnode.teleport.to !== oldVnode.teleport.to
+    if (targetChanged) {
+      const target = resolveTeleportTarget(vnode)
+      if (isDef(target)) {
+        if (isUndef(targetAnchor)) {
+          targetAnchor = vnode.targetAnchor = nodeOps.createTextNode('')
+        }
+        nodeOps.appendChild(target, targetAnchor)
+      }
+    }
+    const teleported = isTeleported(vnode)
+    if (teleported ? (targetChanged || !wasTeleported) : wasTeleported) {
+      if (teleported) {
+        moveChildren(nodeOps.parentNode(targetAnchor), vnode.children, targetAnchor)
+      } else {
+        moveChildren(nodeOps.parentNode(vnode.elm), vnode.children, vnode.anchor)
+      }
+    }
+  }
+
   function invokeInsertHook (vnode, queue, initial) {
     // delay insert hooks for component root nodes, invoke them after the
     // element is really inserted
@@ -628,7 +862,6 @@ export function createPatchFunction (backend) {
     }
   }
 
-  let bailed = false
   // list of modules that can skip create hook during hydration because they
   // are already rendered on the client or has no need for initialization
   /*这些模块是不需要初始化的或者已经在客户端被渲染了*/
@@ -637,7 +870,11 @@ export function createPatchFunction (backend) {
   // Note: this is a browser-only function so we can assume elms are DOM nodes.
   /*合并节点到真实Dom上（因为这是一个只有在浏览器中运行的代码块，所以我们需要确认elms是真实的Dom节点）*/
   function hydrate (elm, vnode, insertedVnodeQueue) {
-    if (process.env.NODE_ENV !== 'production') {
+    if (isTrue(vnode.isFragment)) {
+      return hydrateFragment(elm, vnode, insertedVnodeQueue)
+    }
+    /*开启了config.hydrationRecovery时生产环境下也需要检查节点是否匹配，用来决定需要在客户端重新渲染的节点*/
+    if (process.env.NODE_ENV !== 'production' || config.hydrationRecovery) {
       if (!assertNodeMatch(elm, vnode)) {
         return false
       }
@@ -660,55 +897,217 @@ export function createPatchFunction (backend) {
           /*没有子节点的时候直接创建即可*/
           createChildren(vnode, children, insertedVnodeQueue)
         } else {
-          let childrenMatch = true
-          let childNode = elm.firstChild
-          /*遍历子节点进行合并真实Dom*/
-          for (let i = 0; i < children.length; i++) {
-            if (!childNode || !hydrate(childNode, children[i], insertedVnodeQueue)) {
-              childrenMatch = false
-              break
-            }
-            childNode = childNode.nextSibling
-          }
-          // if childNode is not null, it means the actual childNodes list is
-          // longer than the virtual children list.
-          /*如果childNode不为null，意味着真实的childNode列表比virtual childNodes更长*/
-          if (!childrenMatch || childNode) {
-            if (process.env.NODE_ENV !== 'production' &&
-                typeof console !== 'undefined' &&
-                !bailed) {
-              bailed = true
-              console.warn('Parent: ', elm)
-              console.warn('Mismatching childNodes vs. VNodes: ', elm.childNodes, children)
-            }
+          if (!hydrateChildren(vnode, elm, children, elm.firstChild, insertedVnodeQueue)) {
             return false
           }
         }
       }
       if (isDef(data)) {
-        for (const key in data) {
-          if (!isRenderedModule(key)) {
-            invokeCreateHooks(vnode, insertedVnodeQueue)
-            break
+        let needsCreateHooks = false
+        if (process.env.NODE_ENV !== 'production' || config.hydrationRecovery) {
+          // mismatching attributes are set again by the create hooks
+          // when recovering
+          needsCreateHooks = !assertAttrsMatch(elm, vnode) && config.hydrationRecovery
+        }
+        if (!needsCreateHooks) {
+          for (const key in data) {
+            if (!isRenderedModule(key)) {
+              needsCreateHooks = true
+              break
+            }
           }
         }
+        if (needsCreateHooks) {
+          invokeCreateHooks(vnode, insertedVnodeQueue)
+        }
       }
     } else if (elm.data !== vnode.text) {
+      reportMismatch(vnode, 'text', describeVnode(vnode), describeNode(elm))
       /*替换文本*/
       elm.data = vnode.text
     }
     return true
   }
 
+  /*
+    服务端渲染的fragment在首尾分别带有<!--[-->与<!--]-->注释作为标记，
+    合并时这两个注释节点分别作为fragment的首尾锚点
+  */
+  function hydrateFragment (elm, vnode, insertedVnodeQueue) {
+    if (!isFragmentMarker(elm, '[')) {
+      reportMismatch(vnode, 'node', describeVnode(vnode), describeNode(elm))
+      return false
+    }
+    vnode.elm = elm
+    if (isDef(vnode.teleport)) {
+      return hydrateTeleport(vnode, nodeOps.parentNode(elm), insertedVnodeQueue)
+    }
+    return hydrateChildren(vnode, nodeOps.parentNode(elm), vnode.children, elm.nextSibling, insertedVnodeQueue)
+  }
+
+  /*
+    服务端只为启用状态的teleport输出首尾标记，其内容在合并时由客户端创建到目标节点中（找不到目标节点时创建在原位置）；
+    禁用状态的teleport的内容被渲染在标记之间，与普通fragment一样合并
+  */
+  function hydrateTeleport (vnode, parentElm, insertedVnodeQueue) {
+    const disabled = vnode.teleport.disabled
+    const children = vnode.children
+    if (!hydrateChildren(vnode, parentElm, disabled ? children : [], vnode.elm.nextSibling, insertedVnodeQueue)) {
+      return false
+    }
+    const target = resolveTeleportTarget(vnode)
+    if (isDef(target)) {
+      vnode.targetAnchor = nodeOps.createTextNode('')
+      nodeOps.appendChild(target, vnode.targetAnchor)
+    }
+    if (!disabled) {
+      const container = isDef(target) ? target : parentElm
+      const containerAnchor = isDef(target) ? vnode.targetAnchor : vnode.anchor
+      for (let i = 0; i < children.length; ++i) {
+        createElm(children[i], insertedVnodeQueue, container, containerAnchor, true)
+      }
+    }
+    return true
+  }
+
+  /*
+    将children依次与从childNode开始的真实Dom节点合并。
+    元素的子节点合并到最后一个节点为止，fragment的子节点合并到其结束标记为止，结束标记作为fragment的结束锚点。
+  */
+  function hydrateChildren (vnode, parentElm, children, childNode, insertedVnodeQueue) {
+    const inFragment = isTrue(vnode.isFragment)
+    /*遍历子节点进行合并真实Dom*/
+    for (let i = 0; i < children.length; i++) {
+      if (isHydrationEnd(childNode, inFragment) || !hydrate(childNode, children[i], insertedVnodeQueue)) {
+        if (isHydrationEnd(childNode, inFragment)) {
+          reportMismatch(children[i], 'children', describeVnode(children[i]), describeNode(null), parentElm)
+        }
+        if (!config.hydrationRecovery) {
+          return false
+        }
+        /*部分恢复：丢弃从第一个不匹配的节点开始的服务端渲染的节点，在客户端重新创建剩余的子节点*/
+        childNode = removeServerNodes(parentElm, childNode, inFragment)
+        for (let j = i; j < children.length; ++j) {
+          createElm(children[j], insertedVnodeQueue, parentElm, childNode, true)
+        }
+        break
+      }
+      // components and fragments may span several nodes, or have replaced
+      // their server-rendered nodes when they failed to hydrate
+      childNode = nodeOps.nextSibling(getLastElm(children[i]))
+    }
+    // if childNode is not the end, it means the actual childNodes list is
+    // longer than the virtual children list.
+    /*如果childNode不是结束位置，意味着真实的childNode列表比virtual childNodes更长*/
+    if (!isHydrationEnd(childNode, inFragment)) {
+      reportMismatch(vnode, 'children', describeVnode(null), describeNode(childNode), parentElm)
+      if (!config.hydrationRecovery) {
+        return false
+      }
+      childNode = removeServerNodes(parentElm, childNode, inFragment)
+    }
+    if (inFragment) {
+      if (!childNode) {
+        reportMismatch(vnode, 'children', 'the end of a fragment', describeNode(null), parentElm)
+        return false
+      }
+      vnode.anchor = childNode
+    }
+    return true
+  }
+
+  function isFragmentMarker (node, text) {
+    return isDef(node) && node.nodeType === 8 && node.data === text
+  }
+
+  function isHydrationEnd (node, inFragment) {
+    return !node || (inFragment && isFragmentMarker(node, ']'))
+  }
+
+  /*移除从node开始的服务端渲染的节点，直到当前层级的结束位置（元素的末尾或者fragment的结束标记），返回结束位置的节点*/
+  function removeServerNodes (parentElm, node, inFragment) {
+    let depth = 0
+    while (node && !(inFragment && depth === 0 && isFragmentMarker(node, ']'))) {
+      if (isFragmentMarker(node, '[')) {
+        depth++
+      } else if (isFragmentMarker(node, ']')) {
+        depth--
+      }
+      const next = node.nextSibling
+      nodeOps.removeChild(parentElm, node)
+      node = next
+    }
+    return node
+  }
+
   function assertNodeMatch (node, vnode) {
+    let match
     if (isDef(vnode.tag)) {
-      return (
+      match = (
         vnode.tag.indexOf('vue-component') === 0 ||
         vnode.tag.toLowerCase() === (node.tagName && node.tagName.toLowerCase())
       )
     } else {
-      return node.nodeType === (vnode.isComment ? 8 : 3)
+      match = node.nodeType === (vnode.isComment ? 8 : 3)
+    }
+    if (!match) {
+      reportMismatch(vnode, 'node', describeVnode(vnode), describeNode(node))
     }
+    return match
+  }
+
+  /*检查服务端渲染的节点上的属性是否与VNode中的attrs一致，平台没有提供normalizeAttr时不检查*/
+  function assertAttrsMatch (node, vnode) {
+    const attrs = vnode.data.attrs
+    let match = true
+    if (isDef(attrs) && isDef(normalizeAttr)) {
+      for (const key in attrs) {
+        // style is rendered by the style module
+        if (key === 'style') continue
+        const expected = normalizeAttr(key, attrs[key])
+        const actual = node.getAttribute(key)
+        if (normalizeAttr(key, actual) !== expected) {
+          match = false
+          reportMismatch(
+            vnode,
+            'attribute',
+            expected === null ? `no "${key}" attribute` : `${key}="${expected}"`,
+            actual === null ? `no "${key}" attribute` : `${key}="${actual}"`,
+            node
+          )
+        }
+      }
+    }
+    return match
+  }
+
+  /*
+    报告服务端渲染的内容与客户端VNode不匹配的地方，包括所在的组件路径以及期望与实际的标签、文本或属性。
+    只在非生产环境下报告。
+  */
+  function reportMismatch (vnode, type, expected, actual, parentElm) {
+    if (process.env.NODE_ENV !== 'production') {
+      warn(
+        `Hydration ${type} mismatch` +
+        (parentElm ? ` in ${describeNode(parentElm)}` : '') +
+        `:\n- expected: ${expected}\n- actual: ${actual}` +
+        (config.hydrationRecovery ? '\nRecovering by patching the mismatching nodes on the client.' : ''),
+        (vnode && vnode.context) || activeInstance
+      )
+    }
+  }
+
+  function describeVnode (vnode) {
+    if (!vnode) return 'nothing'
+    if (isTrue(vnode.isFragment)) return 'a fragment'
+    if (isDef(vnode.tag)) return `<${vnode.tag}>`
+    return vnode.isComment ? 'a comment' : `text "${vnode.text}"`
+  }
+
+  function describeNode (node) {
+    if (!node) return 'nothing'
+    if (node.nodeType === 1) return `<${node.tagName.toLowerCase()}>`
+    return node.nodeType === 8 ? 'a comment' : `text "${node.data}"`
   }
 
   /*createPatchFunction的返回值，一个patch函数*/
@@ -763,7 +1162,16 @@ export function createPatchFunction (backend) {
           // either not server-rendered, or hydration failed.
           // create an empty node and replace it
           /*如果不是服务端渲染或者合并到真实Dom失败，则创建一个空的VNode节点替换它*/
-          oldVnode = emptyNodeAt(oldVnode)
+          if (isTrue(hydrating) && isFragmentMarker(oldVnode, '[')) {
+            // a server-rendered fragment spans up to its end marker,
+            // remove the rest of it so that only the start marker is replaced
+            const parent = nodeOps.parentNode(oldVnode)
+            const end = removeServerNodes(parent, oldVnode.nextSibling, true)
+            if (end) nodeOps.removeChild(parent, end)
+            oldVnode = new VNode(undefined, undefined, undefined, undefined, oldVnode)
+          } else {
+            oldVnode = emptyNodeAt(oldVnode)
+          }
         }
         // replacing existing element
         /*取代现有元素*/
@@ -776,7 +1184,7 @@ export function createPatchFunction (backend) {
           // leaving transition. Only happens when combining transition +
           // keep-alive + HOCs. (#4590)
           oldElm._leaveCb ? null : parentElm,
-          nodeOps.nextSibling(oldElm)
+          nodeOps.nextSibling(getLastElm(oldVnode))
         )
 
         if (isDef(vnode.parent)) {
@@ -41,6 +41,14 @@ export default class VNode {
   text: string | void;
   // 当前节点对应的真实dom节点
   elm: Node | void;
+  // fragment节点的结束锚点
+  anchor: Node | void; // end anchor of fragment nodes
+  // teleport节点的目标以及是否禁用
+  teleport: { to: any, disabled: boolean, offscreen?: boolean } | void;
+  // teleport节点在目标中的锚点
+  targetAnchor: Node | void; // anchor of teleported children in the target
+  // 异步组件占位节点对应的组件工厂
+  asyncFactory: Function | void; // async component factory function
   // 当前节点的名字空间
   ns: string | void;
   // 编译作用域
@@ -67,6 +75,8 @@ export default class VNode {
   isCloned: boolean; // is a cloned node?
   // 是否有v-once指令
   isOnce: boolean; // is a v-once node?
+  // 是否为fragment节点（多根节点）
+  isFragment: boolean; // multi-root fragment?
 
   constructor (
     tag?: string,
@@ -87,6 +97,14 @@ export default class VNode {
     this.text = text
     /*当前虚拟节点对应的真实dom节点*/
     this.elm = elm
+    /*fragment节点的结束锚点，elm则作为开始锚点*/
+    this.anchor = undefined
+    /*teleport节点的目标，子节点会被渲染到目标节点中*/
+    this.teleport = undefined
+    /*teleport节点在目标节点中的锚点*/
+    this.targetAnchor = undefined
+    /*异步组件的工厂函数，只存在于异步组件还未resolve时渲染的占位节点上*/
+    this.asyncFactory = undefined
     /*当前节点的名字空间*/
     this.ns = undefined
     /*当前节点的编译作用域*/
@@ -113,6 +131,8 @@ export default class VNode {
     this.isCloned = false
     /*是否有v-once指令*/
     this.isOnce = false
+    /*是否为fragment节点*/
+    this.isFragment = false
   }
 
   // DEPRECATED: alias for componentInstance for backwards compat.
@@ -135,6 +155,30 @@ export function createTextVNode (val: string | number) {
   return new VNode(undefined, undefined, undefined, String(val))
 }
 
+/*
+  创建一个fragment节点，用于渲染多个根节点
+  fragment本身不对应真实节点，而是用首尾两个空文本节点作为锚点，子节点插入在两个锚点之间
+*/
+export function createFragmentVNode (children: Array<VNode>) {
+  const node = new VNode(undefined, undefined, children)
+  node.isFragment = true
+  return node
+}
+
+/*
+  创建一个teleport节点
+  teleport是一个特殊的fragment节点，首尾锚点保留在原位置，子节点则被渲染到to对应的目标节点中
+*/
+export function createTeleportVNode (
+  children: Array<VNode>,
+  to: any,
+  disabled?: boolean
+) {
+  const node = createFragmentVNode(children)
+  node.teleport = { to, disabled: !!disabled }
+  return node
+}
+
 // optimized shallow clone
 // used for static nodes and slot nodes because they may be reused across
 // multiple renders, cloning them avoids errors when DOM manipulations rely
@@ -152,6 +196,7 @@ export function cloneVNode (vnode: VNode): VNode {
   )
   cloned.ns = vnode.ns
   cloned.isStatic = vnode.isStatic
+  cloned.isFragment = vnode.isFragment
   cloned.key = vnode.key
   cloned.isCloned = true
   return cloned
@@ -0,0 +1,6 @@
+/* @flow */
+
+import Vue from './runtime/index'
+
+export * from './runtime/index'
+export default Vue
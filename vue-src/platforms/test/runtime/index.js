@@ -0,0 +1,125 @@
+/* @flow */
+
+import Vue from 'core/index'
+import { extend, isObject } from 'shared/util'
+import { createRenderer } from 'core/vdom/create-renderer'
+
+import * as nodeOps from './node-ops'
+import platformModules from './modules/index'
+import TestNode, { ELEMENT_NODE, TEXT_NODE } from './node'
+
+/*
+  测试渲染器平台
+  组件被渲染为内存中的TestNode树，不依赖jsdom，可以序列化、做快照以及触发事件
+*/
+const renderer = createRenderer({
+  nodeOps,
+  modules: platformModules
+})
+
+export const patch: Function = renderer.patch
+
+/**
+ * 挂载一个组件并返回其实例，组件被渲染在一个tag为root的根节点中（vm.$el.parentNode），
+ * 该根节点可以被nodeOps.querySelector查找到（例如作为teleport的目标），实例销毁时被移除。
+ * 组件需要提供render函数或者预先编译的模板。
+ */
+export function mount (
+  Component: Object | Class<Component>,
+  options?: Object
+): Component {
+  const Ctor = isObject(Component) ? Vue.extend(Component) : Component
+  const container = nodeOps.createRoot()
+  const el = nodeOps.createElement('div')
+  nodeOps.appendChild(container, el)
+  const vm = new Ctor(options)
+  vm.$once('hook:destroyed', () => nodeOps.removeRoot(container))
+  return renderer.mount.call(vm, el)
+}
+
+/**
+ * 在节点上触发一个事件，先后经过捕获与冒泡阶段，
+ * payload中的属性会被合并到事件对象上（例如{ target: { value: 'foo' } }）。
+ * 返回事件是否没有被preventDefault
+ */
+export function trigger (node: TestNode, type: string, payload?: Object): boolean {
+  const path = []
+  let cur = node
+  while (cur) {
+    path.unshift(cur)
+    cur = cur.parentNode
+  }
+  let stopped = false
+  const event: Object = extend({
+    type,
+    target: node,
+    currentTarget: null,
+    defaultPrevented: false,
+    preventDefault () {
+      event.defaultPrevented = true
+    },
+    stopPropagation () {
+      stopped = true
+    }
+  }, payload)
+
+  const invoke = (current, capture) => {
+    const listeners = current.listeners[type]
+    if (listeners) {
+      event.currentTarget = current
+      // copy in case listeners are removed by `once` handlers
+      const copy = listeners.slice()
+      for (let i = 0; i < copy.length; i++) {
+        if (copy[i].capture === capture) {
+          copy[i].handler(event)
+        }
+      }
+    }
+  }
+
+  const last = path.length - 1
+  // capture phase
+  for (let i = 0; i < last && !stopped; i++) {
+    invoke(path[i], true)
+  }
+  // at target
+  if (!stopped) invoke(node, true)
+  if (!stopped) invoke(node, false)
+  // bubble phase
+  for (let i = last - 1; i >= 0 && !stopped; i--) {
+    invoke(path[i], false)
+  }
+  return !event.defaultPrevented
+}
+
+/*将节点树序列化为不包含循环引用的普通对象，适合做快照*/
+export function serialize (node: TestNode): Object {
+  return node.toJSON()
+}
+
+/*将节点树渲染成类似HTML的字符串，方便阅读以及快照对比*/
+export function renderToString (node: TestNode): string {
+  if (node.nodeType === TEXT_NODE) {
+    return node.text || ''
+  }
+  if (node.nodeType !== ELEMENT_NODE) {
+    return `<!--${node.text || ''}-->`
+  }
+  let attrs = ''
+  for (const key in node.attrs) {
+    attrs += ` ${key}="${node.attrs[key]}"`
+  }
+  const style = Object.keys(node.style)
+    .map(name => `${name}:${node.style[name]}`)
+    .join(';')
+  if (style) {
+    attrs += ` style="${style}"`
+  }
+  return `<${node.tag || ''}${attrs}>${
+    node.children.map(renderToString).join('')
+  }</${node.tag || ''}>`
+}
+
+export { nodeOps, TestNode }
+
+export default Vue
@@ -0,0 +1,38 @@
+/* @flow */
+
+import { isDef, isUndef } from 'shared/util'
+
+/*更新attr，值为null、undefined或者false时移除该attr*/
+function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData) {
+  const opts = vnode.componentOptions
+  if (isDef(opts) && opts.Ctor.options.inheritAttrs === false) {
+    return
+  }
+  if (isUndef(oldVnode.data.attrs) && isUndef(vnode.data.attrs)) {
+    return
+  }
+  let key, cur
+  const elm: any = vnode.elm
+  const oldAttrs = oldVnode.data.attrs || {}
+  const attrs = vnode.data.attrs || {}
+  for (key in attrs) {
+    cur = attrs[key]
+    if (cur !== oldAttrs[key]) {
+      if (isUndef(cur) || cur === false) {
+        elm.removeAttribute(key)
+      } else {
+        elm.setAttribute(key, cur)
+      }
+    }
+  }
+  for (key in oldAttrs) {
+    if (isUndef(attrs[key])) {
+      elm.removeAttribute(key)
+    }
+  }
+}
+
+export default {
+  create: updateAttrs,
+  update: updateAttrs
+}
@@ -0,0 +1,33 @@
+/* @flow */
+
+import { isUndef } from 'shared/util'
+import { genClassForVnode } from 'web/util/class'
+
+/*更新class，与web平台一样合并静态class、动态class以及组件占位节点上的class*/
+function updateClass (oldVnode: any, vnode: any) {
+  const data: VNodeData = vnode.data
+  const oldData: VNodeData = oldVnode.data
+  if (
+    isUndef(data.staticClass) &&
+    isUndef(data.class) && (
+      isUndef(oldData) || (
+        isUndef(oldData.staticClass) &&
+        isUndef(oldData.class)
+      )
+    )
+  ) {
+    return
+  }
+  const elm = vnode.elm
+  const cls = genClassForVnode(vnode)
+  if (cls) {
+    elm.setAttribute('class', cls)
+  } else {
+    elm.removeAttribute('class')
+  }
+}
+
+export default {
+  create: updateClass,
+  update: updateClass
+}
@@ -0,0 +1,47 @@
+/* @flow */
+
+import { isDef, isUndef } from 'shared/util'
+import { setTextContent } from '../node-ops'
+
+/*
+  更新domProps，保存在节点的props对象上，
+  textContent与innerHTML不保存在props上，而是将子节点替换为一个文本节点（innerHTML不会被解析成节点）
+*/
+function updateDOMProps (oldVnode: VNodeWithData, vnode: VNodeWithData) {
+  if (isUndef(oldVnode.data.domProps) && isUndef(vnode.data.domProps)) {
+    return
+  }
+  let key, cur
+  const elm: any = vnode.elm
+  const oldProps = oldVnode.data.domProps || {}
+  const props = vnode.data.domProps || {}
+  for (key in oldProps) {
+    if (isUndef(props[key])) {
+      if (key === 'textContent' || key === 'innerHTML') {
+        setTextContent(elm, '')
+      } else {
+        delete elm.props[key]
+      }
+    }
+  }
+  for (key in props) {
+    cur = props[key]
+    if (key === 'textContent' || key === 'innerHTML') {
+      if (vnode.children) vnode.children.length = 0
+      if (cur !== oldProps[key]) {
+        setTextContent(elm, isDef(cur) ? String(cur) : '')
+      }
+      continue
+    }
+    if (isDef(cur)) {
+      elm.props[key] = cur
+    } else {
+      delete elm.props[key]
+    }
+  }
+}
+
+export default {
+  create: updateDOMProps,
+  update: updateDOMProps
+}
@@ -0,0 +1,61 @@
+/* @flow */
+
+import { isUndef } from 'shared/util'
+import { updateListeners } from 'core/vdom/helpers/index'
+
+let target: any
+
+function add (
+  event: string,
+  handler: Function,
+  once: boolean,
+  capture: boolean
+) {
+  if (once) {
+    const oldHandler = handler
+    const _target = target // save current target element in closure
+    handler = function (ev) {
+      const res = arguments.length === 1
+        ? oldHandler(ev)
+        : oldHandler.apply(null, arguments)
+      if (res !== null) {
+        remove(event, handler, capture, _target)
+      }
+    }
+  }
+  const listeners = target.listeners[event] || (target.listeners[event] = [])
+  listeners.push({ handler, capture })
+}
+
+function remove (
+  event: string,
+  handler: Function,
+  capture: boolean,
+  _target?: any
+) {
+  const listeners = (_target || target).listeners[event]
+  if (listeners) {
+    for (let i = 0; i < listeners.length; i++) {
+      if (listeners[i].handler === handler && listeners[i].capture === capture) {
+        listeners.splice(i, 1)
+        break
+      }
+    }
+  }
+}
+
+/*将事件监听保存在节点的listeners上，通过trigger触发*/
+function updateTestListeners (oldVnode: VNodeWithData, vnode: VNodeWithData) {
+  if (isUndef(oldVnode.data.on) && isUndef(vnode.data.on)) {
+    return
+  }
+  const on = vnode.data.on || {}
+  const oldOn = oldVnode.data.on || {}
+  target = vnode.elm
+  updateListeners(on, oldOn, add, remove, vnode.context)
+}
+
+export default {
+  create: updateTestListeners,
+  update: updateTestListeners
+}
@@ -0,0 +1,13 @@
+import attrs from './attrs'
+import klass from './class'
+import events from './events'
+import domProps from './dom-props'
+import style from './style'
+
+export default [
+  attrs,
+  klass,
+  events,
+  domProps,
+  style
+]
@@ -0,0 +1,28 @@
+/* @flow */
+
+import { getStyle } from 'web/util/style'
+import { isUndef, hyphenate } from 'shared/util'
+
+/*更新style，合并后的样式以连字符形式的属性名保存在节点的style对象上*/
+function updateStyle (oldVnode: VNodeWithData, vnode: VNodeWithData) {
+  const data = vnode.data
+  const oldData = oldVnode.data
+  if (isUndef(data.staticStyle) && isUndef(data.style) &&
+      isUndef(oldData.staticStyle) && isUndef(oldData.style)) {
+    return
+  }
+  const elm: any = vnode.elm
+  const style = getStyle(vnode, true)
+  const res = {}
+  for (const name in style) {
+    if (style[name] != null && style[name] !== '') {
+      res[hyphenate(name)] = String(style[name])
+    }
+  }
+  elm.style = res
+}
+
+export default {
+  create: updateStyle,
+  update: updateStyle
+}
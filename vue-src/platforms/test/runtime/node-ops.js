@@ -0,0 +1,139 @@
+/* @flow */
+
+/*测试渲染器的节点操作，接口与platforms/web/runtime/node-ops.js一致，操作的是内存中的TestNode*/
+
+import TestNode, { ELEMENT_NODE, TEXT_NODE, COMMENT_NODE } from './node'
+
+export function createElement (tagName: string): TestNode {
+  return new TestNode(ELEMENT_NODE, tagName)
+}
+
+export function createElementNS (namespace: string, tagName: string): TestNode {
+  return new TestNode(ELEMENT_NODE, `${namespace}:${tagName}`)
+}
+
+export function createTextNode (text: string): TestNode {
+  return new TestNode(TEXT_NODE, undefined, text)
+}
+
+export function createComment (text: string): TestNode {
+  return new TestNode(COMMENT_NODE, undefined, text)
+}
+
+export function insertBefore (parentNode: TestNode, newNode: TestNode, referenceNode: ?TestNode) {
+  if (newNode.parentNode) {
+    removeChild(newNode.parentNode, newNode)
+  }
+  const index = referenceNode ? parentNode.children.indexOf(referenceNode) : -1
+  if (index > -1) {
+    parentNode.children.splice(index, 0, newNode)
+  } else {
+    parentNode.children.push(newNode)
+  }
+  newNode.parentNode = parentNode
+}
+
+export function removeChild (node: TestNode, child: TestNode) {
+  const index = node.children.indexOf(child)
+  if (index > -1) {
+    node.children.splice(index, 1)
+    child.parentNode = null
+  }
+}
+
+export function appendChild (node: TestNode, child: TestNode) {
+  insertBefore(node, child, null)
+}
+
+export function parentNode (node: TestNode): ?TestNode {
+  return node.parentNode
+}
+
+export function nextSibling (node: TestNode): ?TestNode {
+  const parent = node.parentNode
+  if (parent) {
+    return parent.children[parent.children.indexOf(node) + 1] || null
+  }
+  return null
+}
+
+export function tagName (node: TestNode): string {
+  return node.tag || ''
+}
+
+export function setTextContent (node: TestNode, text: string) {
+  if (node.nodeType === ELEMENT_NODE) {
+    for (let i = 0; i < node.children.length; i++) {
+      node.children[i].parentNode = null
+    }
+    node.children = []
+    if (text) {
+      appendChild(node, createTextNode(text))
+    }
+  } else {
+    node.text = text
+  }
+}
+
+export function setAttribute (node: TestNode, key: string, val: string) {
+  node.setAttribute(key, val)
+}
+
+/*
+  createRoot创建的根节点（mount使用的容器节点也是根节点），querySelector只在这些节点树中查找，
+  例如teleport的目标节点可以放在一个单独的根节点中。根节点通过removeRoot移除。
+*/
+const roots: Array<TestNode> = []
+
+export function createRoot (): TestNode {
+  const root = createElement('root')
+  roots.push(root)
+  return root
+}
+
+export function removeRoot (root: TestNode) {
+  const index = roots.indexOf(root)
+  if (index > -1) {
+    roots.splice(index, 1)
+  }
+}
+
+/*只支持#id、.class以及tag这几种简单选择器，按照文档顺序返回第一个匹配的元素节点*/
+export function querySelector (selector: string): ?TestNode {
+  selector = selector.trim()
+  for (let i = 0; i < roots.length; i++) {
+    const node = findNode(roots[i], selector)
+    if (node) {
+      return node
+    }
+  }
+  return null
+}
+
+function findNode (node: TestNode, selector: string): ?TestNode {
+  for (let i = 0; i < node.children.length; i++) {
+    const child = node.children[i]
+    if (child.nodeType === ELEMENT_NODE) {
+      if (matchesSelector(child, selector)) {
+        return child
+      }
+      const found = findNode(child, selector)
+      if (found) {
+        return found
+      }
+    }
+  }
+  return null
+}
+
+function matchesSelector (node: TestNode, selector: string): boolean {
+  const first = selector.charAt(0)
+  if (first === '#') {
+    return node.attrs.id === selector.slice(1)
+  }
+  if (first === '.') {
+    const cls = node.attrs.class
+    return !!cls && cls.split(/\s+/).indexOf(selector.slice(1)) > -1
+  }
+  return node.tag === selector
+}
@@ -0,0 +1,78 @@
+/* @flow */
+
+import { extend } from 'shared/util'
+
+/*
+  测试渲染器使用的内存节点，结构与DOM节点类似，但只是普通的js对象，
+  通过toJSON可以得到一个不包含循环引用、可以直接序列化以及做快照的树
+*/
+
+export const ELEMENT_NODE = 1
+export const TEXT_NODE = 3
+export const COMMENT_NODE = 8
+
+type TestListener = {
+  handler: Function,
+  capture: boolean
+};
+
+export default class TestNode {
+  nodeType: number;
+  tag: string | void;
+  text: string | void;
+  attrs: { [key: string]: string };
+  props: { [key: string]: any };
+  style: { [key: string]: string };
+  children: Array<TestNode>;
+  parentNode: ?TestNode;
+  listeners: { [key: string]: Array<TestListener> };
+
+  constructor (nodeType: number, tag?: string, text?: string) {
+    this.nodeType = nodeType
+    this.tag = tag
+    this.text = text
+    this.attrs = {}
+    this.props = {}
+    this.style = {}
+    this.children = []
+    this.parentNode = null
+    this.listeners = {}
+  }
+
+  hasAttribute (key: string): boolean {
+    return Object.prototype.hasOwnProperty.call(this.attrs, key)
+  }
+
+  setAttribute (key: string, val: string) {
+    this.attrs[key] = String(val)
+  }
+
+  removeAttribute (key: string) {
+    delete this.attrs[key]
+  }
+
+  /* 序列化为普通对象，空文本节点（例如fragment的锚点）会被忽略 */
+  toJSON (): Object {
+    if (this.nodeType === TEXT_NODE) {
+      return { type: 'text', text: this.text }
+    }
+    if (this.nodeType === COMMENT_NODE) {
+      return { type: 'comment', text: this.text }
+    }
+    const res: Object = {
+      type: 'element',
+      tag: this.tag,
+      attrs: extend({}, this.attrs),
+      children: this.children
+        .filter(child => child.nodeType !== TEXT_NODE || child.text !== '')
+        .map(child => child.toJSON())
+    }
+    if (Object.keys(this.props).length) {
+      res.props = extend({}, this.props)
+    }
+    if (Object.keys(this.style).length) {
+      res.style = extend({}, this.style)
+    }
+    return res
+  }
+}
@@ -19,6 +19,7 @@ export default function model (
   warn = _warn
   const value = dir.value
   const modifiers = dir.modifiers
+  const arg = dir.arg
   const tag = el.tag
   const type = el.attrsMap.type
 
@@ -40,6 +41,14 @@ export default function model (
     }
   }
 
+  if (arg && config.isReservedTag(tag)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `<${el.tag} v-model:${arg}="${value}">: ` +
+      `v-model arguments are only supported on components.`
+    )
+    return false
+  }
+
   if (tag === 'select') {
     genSelect(el, value, modifiers)
   } else if (tag === 'input' && type === 'checkbox') {
@@ -49,7 +58,7 @@ export default function model (
   } else if (tag === 'input' || tag === 'textarea') {
     genDefaultModel(el, value, modifiers)
   } else if (!config.isReservedTag(tag)) {
-    genComponentModel(el, value, modifiers)
+    genComponentModel(el, value, modifiers, arg)
     // component v-model doesn't need extra runtime
     return false
   } else if (process.env.NODE_ENV !== 'production') {
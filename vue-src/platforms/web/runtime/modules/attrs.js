@@ -19,6 +19,11 @@ import {
 
 /*更新attr*/
 function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData) {
+  /*组件设置了inheritAttrs: false时，不把组件占位节点上的attr添加到组件的根元素上*/
+  const opts = vnode.componentOptions
+  if (isDef(opts) && opts.Ctor.options.inheritAttrs === false) {
+    return
+  }
   /*如果旧的以及新的VNode节点均没有attr属性，则直接返回*/
   if (isUndef(oldVnode.data.attrs) && isUndef(vnode.data.attrs)) {
     return
@@ -59,3 +59,7 @@ export function setTextContent (node: Node, text: string) {
 export function setAttribute (node: Element, key: string, val: string) {
   node.setAttribute(key, val)
 }
+
+export function querySelector (selector: string): ?Element {
+  return document.querySelector(selector)
+}
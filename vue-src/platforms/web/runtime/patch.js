@@ -1,13 +1,12 @@
 /* @flow */
 
 import * as nodeOps from 'web/runtime/node-ops'
-import { createPatchFunction } from 'core/vdom/patch'
-import baseModules from 'core/vdom/modules/index'
+import { createRenderer } from 'core/vdom/create-renderer'
 import platformModules from 'web/runtime/modules/index'
+import { normalizeAttrValue } from 'web/util/attrs'
 
-// the directive module should be applied last, after all
-// built-in modules have been applied.
-const modules = platformModules.concat(baseModules)
-
-// 这个参数是什么东西？？
-export const patch: Function = createPatchFunction({ nodeOps, modules })
+export const patch: Function = createRenderer({
+  nodeOps,
+  modules: platformModules,
+  normalizeAttr: normalizeAttrValue
+}).patch
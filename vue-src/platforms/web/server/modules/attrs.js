@@ -17,12 +17,16 @@ export default function renderAttrs (node: VNodeWithData): string {
   let attrs = node.data.attrs
   let res = ''
 
-  let parent = node.parent
-  while (isDef(parent)) {
-    if (isDef(parent.data) && isDef(parent.data.attrs)) {
-      attrs = Object.assign({}, attrs, parent.data.attrs)
+  /*父组件设置了inheritAttrs: false时，不合并组件占位节点上的attr*/
+  const opts = node.parent && node.parent.componentOptions
+  if (isUndef(opts) || opts.Ctor.options.inheritAttrs !== false) {
+    let parent = node.parent
+    while (isDef(parent)) {
+      if (isDef(parent.data) && isDef(parent.data.attrs)) {
+        attrs = Object.assign({}, attrs, parent.data.attrs)
+      }
+      parent = parent.parent
     }
-    parent = parent.parent
   }
 
   if (isUndef(attrs)) {
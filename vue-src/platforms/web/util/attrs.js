@@ -41,3 +41,16 @@ export const getXlinkProp = (name: string): string => {
 export const isFalsyAttrValue = (val: any): boolean => {
   return val == null || val === false
 }
+
+/*
+  按照服务端renderAttr的方式得到属性渲染后的值，不渲染该属性时返回null。
+  客户端激活时用它同时处理VNode中的值以及节点上的实际值再进行比较，布尔属性只需要存在即可。
+*/
+export const normalizeAttrValue = (key: string, value: any): ?string => {
+  if (isBooleanAttr(key)) {
+    return isFalsyAttrValue(value) ? null : key
+  } else if (isEnumeratedAttr(key)) {
+    return isFalsyAttrValue(value) || value === 'false' ? 'false' : 'true'
+  }
+  return isFalsyAttrValue(value) ? null : String(value)
+}
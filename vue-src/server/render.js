@@ -45,6 +45,8 @@ function renderNode (node, isRoot, context) {
   } else {
     if (isDef(node.tag)) {
       renderElement(node, isRoot, context)
+    } else if (isTrue(node.isFragment)) {
+      renderFragment(node, context)
     } else if (isTrue(node.isComment)) {
       context.write(
         `<!--${node.text}-->`,
@@ -185,6 +187,28 @@ function renderElement (el, isRoot, context) {
   }
 }
 
+// fragments render their children in place, wrapped in <!--[--> and <!--]-->
+// comments which the client hydrates as the start and end anchors.
+function renderFragment (node, context) {
+  const children: Array<VNode> = node.children
+  const { write, next } = context
+  // teleported content belongs to a target outside of the component tree
+  // which cannot be written in place, so only the anchors are rendered and
+  // the client creates the content in the target while hydrating.
+  // Disabled teleports render their content in place.
+  if (children.length === 0 || (isDef(node.teleport) && !node.teleport.disabled)) {
+    write('<!--[--><!--]-->', next)
+  } else {
+    context.renderStates.push({
+      type: 'Element',
+      rendered: 0,
+      total: children.length,
+      endTag: '<!--]-->', children
+    })
+    write('<!--[-->', next)
+  }
+}
+
 function hasAncestorData (node: VNode) {
   const parentNode = node.parent
   return isDef(parentNode) && (isDef(parentNode.data) || hasAncestorData(parentNode))
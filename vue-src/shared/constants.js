@@ -19,5 +19,8 @@ export const LIFECYCLE_HOOKS = [
   'beforeDestroy',
   'destroyed',
   'activated',
-  'deactivated'
+  'deactivated',
+  'errorCaptured',
+  'renderTracked',
+  'renderTriggered'
 ]
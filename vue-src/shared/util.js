@@ -30,6 +30,13 @@ export function isObject (obj: mixed): boolean %checks {
   return obj !== null && typeof obj === 'object'
 }
 
+/**
+ * Check if a value is a thenable, e.g. a Promise.
+ */
+export function isThenable (val: any): boolean {
+  return isObject(val) && typeof val.then === 'function'
+}
+
 const _toString = Object.prototype.toString
 
 /**
@@ -45,6 +52,15 @@ export function isRegExp (v: any): boolean {
   return _toString.call(v) === '[object RegExp]'
 }
 
+/*检查是否是Map或Set集合对象*/
+export function isMap (v: any): boolean {
+  return _toString.call(v) === '[object Map]'
+}
+
+export function isSet (v: any): boolean {
+  return _toString.call(v) === '[object Set]'
+}
+
 /**
  * Convert a value to a string that is actually rendered.
  */